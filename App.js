@@ -11,21 +11,43 @@
  * See comments throughout for specific challenges encountered
  */
 
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { StyleSheet, View, SafeAreaView, Platform, Alert, TouchableOpacity, Text } from 'react-native';
-import { Provider as PaperProvider } from 'react-native-paper';
+import { Provider as PaperProvider, Snackbar } from 'react-native-paper';
 import JobApplicationForm from './src/components/JobApplicationForm';
 import ApplicationsList from './src/components/ApplicationsList';
-import ApplicationsListResponsive from './src/components/ApplicationsListResponsive';
+import TrashBin from './src/components/TrashBin';
+import { applicationRepository } from './src/data/applicationRepository';
+import { useListState } from './src/utils/useListState';
+import { confirmAction, showError } from './src/utils/dialogs';
+
+// How long the "Undo" snackbar stays up after a delete
+const UNDO_DURATION_MS = 5000;
 
 export default function App() {
-  const [view, setView] = useState('list'); // 'list' or 'form'
+  const [view, setView] = useState('list'); // 'list', 'form' or 'trash'
   const [editingApplication, setEditingApplication] = useState(null);
-  const [savedDrafts, setSavedDrafts] = useState([]);
   const [useResponsive, setUseResponsive] = useState(false);
+  const [undoDelete, setUndoDelete] = useState(null);
+  // Kept here (and in the URL on web) so the list looks the same when coming back to it
+  const [listState, setListState] = useListState({ active: view === 'list' });
+
+  // Save failures are shown here and re-thrown, so the form keeps its
+  // autosave and can mark the fields a 422 named
+  const handleSubmitApplication = async (data) => {
+    let application;
+    try {
+      application = await applicationRepository.save({
+        ...data,
+        id: editingApplication?.id,
+        status: 'submitted',
+      });
+    } catch (error) {
+      showError('Could not submit the application', error);
+      throw error;
+    }
 
-  const handleSubmitApplication = (data) => {
-    console.log('Application submitted:', data);
+    console.log('Application submitted:', application);
 
     /**
      * CHALLENGE #11: Alert vs Toast
@@ -42,23 +64,21 @@ export default function App() {
     setEditingApplication(null);
   };
 
-  const handleSaveDraft = (data) => {
-    const draft = {
-      ...data,
-      id: editingApplication?.id || Date.now(),
-      status: 'draft',
-      savedAt: new Date().toISOString(),
-    };
-
-    setSavedDrafts(prev => {
-      const existingIndex = prev.findIndex(d => d.id === draft.id);
-      if (existingIndex >= 0) {
-        const updated = [...prev];
-        updated[existingIndex] = draft;
-        return updated;
-      }
-      return [...prev, draft];
-    });
+  const handleSaveDraft = async (data) => {
+    let draft;
+    try {
+      draft = await applicationRepository.save({
+        ...data,
+        id: editingApplication?.id,
+        status: 'draft',
+      });
+    } catch (error) {
+      showError('Could not save the draft', error);
+      throw error;
+    }
+
+    // Keep editing the same record so the next save updates it
+    setEditingApplication(draft);
 
     console.log('Draft saved:', draft);
 
@@ -69,38 +89,79 @@ export default function App() {
     }
   };
 
-  const handleEditApplication = (application) => {
+  // Stable, so the list's columns (built from these) are only built once
+  const handleEditApplication = useCallback((application) => {
     setEditingApplication(application);
     setView('form');
-  };
+  }, []);
 
-  const handleDeleteApplication = (id) => {
-    /**
-     * CHALLENGE #12: Confirmation Dialogs
-     * Alert.alert with buttons works on mobile but not web
-     * Need different approach for each platform
-     */
-    if (Platform.OS === 'web') {
-      if (window.confirm('Are you sure you want to delete this application?')) {
-        console.log('Deleting application:', id);
-        alert('Application deleted');
+  const handleDeleteApplication = useCallback((id) => {
+    confirmAction(
+      'Confirm Delete',
+      'Are you sure you want to delete this application?',
+      'Delete',
+      async () => {
+        try {
+          await applicationRepository.remove(id);
+        } catch (error) {
+          showError('Could not delete the application', error);
+          return;
+        }
+        // Deleted records go to the trash, so offer a quick way back
+        setUndoDelete({ id });
       }
-    } else {
-      Alert.alert(
-        'Confirm Delete',
-        'Are you sure you want to delete this application?',
-        [
-          { text: 'Cancel', style: 'cancel' },
-          {
-            text: 'Delete',
-            style: 'destructive',
-            onPress: () => console.log('Deleting application:', id)
-          }
-        ]
-      );
+    );
+  }, []);
+
+  const handleUndoDelete = async () => {
+    if (!undoDelete) return;
+    try {
+      await applicationRepository.restore(undoDelete.id);
+    } catch (error) {
+      showError('Could not restore the application', error);
+    } finally {
+      setUndoDelete(null);
+    }
+  };
+
+  const handleRestoreApplication = async (id) => {
+    try {
+      await applicationRepository.restore(id);
+    } catch (error) {
+      showError('Could not restore the application', error);
     }
   };
 
+  const handlePurgeApplication = (id) => {
+    confirmAction(
+      'Delete Forever',
+      'This application will be permanently deleted. This cannot be undone.',
+      'Delete Forever',
+      async () => {
+        try {
+          await applicationRepository.purge(id);
+        } catch (error) {
+          showError('Could not delete the application', error);
+        }
+      }
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    confirmAction(
+      'Empty Trash',
+      'All applications in the trash will be permanently deleted. This cannot be undone.',
+      'Empty Trash',
+      async () => {
+        try {
+          await applicationRepository.emptyTrash();
+        } catch (error) {
+          showError('Could not empty the trash', error);
+        }
+      }
+    );
+  };
+
   return (
     <PaperProvider>
       <SafeAreaView style={styles.container}>
@@ -139,6 +200,18 @@ export default function App() {
               </Text>
             </TouchableOpacity>
 
+            <TouchableOpacity
+              style={[styles.navButton, view === 'trash' && styles.navButtonActive]}
+              onPress={() => setView('trash')}
+            >
+              <Text style={[
+                styles.navButtonText,
+                view === 'trash' && styles.navButtonTextActive
+              ]}>
+                Trash
+              </Text>
+            </TouchableOpacity>
+
             {view === 'list' && (
               <TouchableOpacity
                 style={[styles.navButton, styles.toggleButton]}
@@ -154,17 +227,21 @@ export default function App() {
 
         <View style={styles.content}>
           {view === 'list' ? (
-            useResponsive ? (
-              <ApplicationsListResponsive
-                onEdit={handleEditApplication}
-                onDelete={handleDeleteApplication}
-              />
-            ) : (
-              <ApplicationsList
-                onEdit={handleEditApplication}
-                onDelete={handleDeleteApplication}
-              />
-            )
+            <ApplicationsList
+              repository={applicationRepository}
+              onEdit={handleEditApplication}
+              onDelete={handleDeleteApplication}
+              responsive={useResponsive}
+              state={listState}
+              onStateChange={setListState}
+            />
+          ) : view === 'trash' ? (
+            <TrashBin
+              repository={applicationRepository}
+              onRestore={handleRestoreApplication}
+              onPurge={handlePurgeApplication}
+              onEmptyTrash={handleEmptyTrash}
+            />
           ) : (
             <JobApplicationForm
               onSubmit={handleSubmitApplication}
@@ -173,6 +250,19 @@ export default function App() {
             />
           )}
         </View>
+
+        {/*
+          Paper's Snackbar renders the same on web and native,
+          unlike Alert which is a blocking browser dialog on web
+        */}
+        <Snackbar
+          visible={!!undoDelete}
+          onDismiss={() => setUndoDelete(null)}
+          duration={UNDO_DURATION_MS}
+          action={{ label: 'Undo', onPress: handleUndoDelete }}
+        >
+          Application moved to trash
+        </Snackbar>
       </SafeAreaView>
     </PaperProvider>
   );
@@ -0,0 +1,146 @@
+/**
+ * Mock REST server
+ *
+ * Serves the handlers from src/data/mockBackend.js over HTTP so the app can
+ * be run against a real network round-trip. No external services needed:
+ *
+ *   npm run mock-server
+ *
+ * Environment:
+ *   PORT                 port to listen on (default 4000)
+ *   MOCK_LATENCY_MS      delay added to every response (default 0)
+ *   MOCK_FAILURE_RATE    0..1 chance of answering 500 instead (default 0)
+ *
+ * Point the app at it with EXPO_PUBLIC_API_URL=http://localhost:4000
+ *
+ * Besides the JSON API it takes attachment uploads, kept in memory:
+ *   POST /uploads       raw file body, Content-Type + X-File-Name headers -> { id, url }
+ *   GET  /uploads/:id   the uploaded file
+ */
+import http from 'node:http';
+import { register } from 'node:module';
+
+register('./resolveExtensions.mjs', import.meta.url);
+
+const { createMockBackend } = await import('../src/data/mockBackend.js');
+
+const PORT = parseInt(process.env.PORT || '4000', 10);
+const LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE || '0');
+
+const backend = createMockBackend();
+
+// The web app runs on a different port (8081), so allow cross-origin calls
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-File-Name',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : undefined);
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Uploaded files: id -> { name, type, data }
+const uploads = new Map();
+let nextUploadId = 1;
+
+const readRawBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => { chunks.push(chunk); });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Files aren't JSON, so they're handled here rather than by the mock backend
+const handleUpload = async (req, res, url) => {
+  const [, id] = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'POST' && id === undefined) {
+    const data = await readRawBody(req);
+    const name = decodeURIComponent(req.headers['x-file-name'] || 'file');
+    const upload = {
+      id: `upload-${nextUploadId++}`,
+      name,
+      type: req.headers['content-type'] || 'application/octet-stream',
+      data,
+    };
+    uploads.set(upload.id, upload);
+    console.log(`POST /uploads ${upload.name} (${data.length} bytes) -> 201`);
+    send(res, 201, { id: upload.id, url: `http://${req.headers.host}/uploads/${upload.id}` });
+    return;
+  }
+
+  const upload = req.method === 'GET' && uploads.get(id);
+  if (!upload) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': upload.type });
+  res.end(upload.data);
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (url.pathname === '/uploads' || url.pathname.startsWith('/uploads/')) {
+    try {
+      await handleUpload(req, res, url);
+    } catch (error) {
+      // A malformed x-file-name or a broken request body
+      send(res, 400, { error: 'Invalid upload' });
+    }
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    send(res, 400, { error: 'Invalid JSON body' });
+    return;
+  }
+
+  if (LATENCY_MS > 0) {
+    await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+  }
+
+  if (FAILURE_RATE > 0 && Math.random() < FAILURE_RATE) {
+    send(res, 500, { error: 'Simulated server failure' });
+    return;
+  }
+
+  const { status, body: responseBody } = backend.handle({
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    body,
+  });
+
+  console.log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+  send(res, status, responseBody);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,17 @@
+/**
+ * Node resolve hook for the mock server.
+ *
+ * The app's source uses extensionless imports ('./mockData') which Metro
+ * understands but Node's ESM loader does not. Retry those with '.js'.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative || specifier.endsWith('.js')) {
+      throw error;
+    }
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
@@ -1,195 +1,319 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
   TouchableOpacity,
-  Platform,
+  TextInput,
+  Modal,
   ScrollView,
+  Platform,
 } from 'react-native';
-import { mockApplications } from '../data/mockData';
+import AttachmentCount from './AttachmentCount';
+import DataTable from './DataTable';
+import FilterChips from './FilterChips';
+import FilterPanel from './FilterPanel';
+import HighlightedText from './HighlightedText';
+import SavedViews from './SavedViews';
+import { EMPTY_FILTERS, matchesFilters, getFilterChips } from '../utils/applicationFilters';
+import { DEFAULT_LIST_STATE } from '../utils/listState';
+import { formatDate, toISODate } from '../utils/dates';
+import { useApplications } from '../utils/useApplications';
+import { useDataTable } from '../utils/useDataTable';
+import { useDebouncedValue } from '../utils/useDebouncedValue';
+import { useResponsive } from '../utils/useResponsive';
 
 /**
- * CHALLENGE #5: Data Tables/Grids on React Native Web
+ * Applications List
+ *
+ * Filters by status and hands the rest to DataTable, driven by the columns
+ * below: adding a column is one entry here instead of a header cell and a
+ * row cell per layout.
+ *
+ * The search box looks through the `searchable` columns (name, email, city
+ * and country, role, industry) once typing pauses, and DataTable highlights
+ * the hits. The count and the pagination footer show the matching rows.
  *
- * Major Issues:
- * 1. No native table component - must build with FlatList
- * 2. FlatList performance issues on web with large datasets
- * 3. Column resizing doesn't exist
- * 4. Horizontal scrolling is awkward on web
- * 5. No native sorting UI
- * 6. No built-in pagination components
- * 7. Can't use popular React table libraries (AG-Grid, TanStack Table, etc.)
- * 8. Accessibility is poor (no proper table semantics)
- * 9. Selection/checkboxes are manual
- * 10. Responsive design is very difficult
+ * CHALLENGE #26: Filter Panel - no drawer or bottom sheet component to put
+ * the filters in. On desktop they're a side panel next to the table (the
+ * "Filters" button hides it); on smaller screens a Modal slid up from the
+ * bottom, the way CustomDropdown shows its options on phones. Either way
+ * the filters in use show above the table as chips.
+ *
+ * Status, search, filters, sort and page are one `state` (see
+ * utils/listState.js) that App.js can keep through `state` and
+ * `onStateChange` (called with an updater, like a useState setter), so it
+ * survives switching screens and ends up in the URL on web. Saved views
+ * are named copies of it.
+ *
+ * `responsive` switches between the fixed-width table (scrolling sideways)
+ * and one that adapts to the screen: fewer columns on tablets, cards on
+ * phones (see CHALLENGE #21 in useResponsive.js).
  */
 
-const ApplicationsList = ({ onEdit, onDelete }) => {
-  const [applications, setApplications] = useState(mockApplications);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage] = useState(5);
-  const [sortField, setSortField] = useState('createdAt');
-  const [sortDirection, setSortDirection] = useState('desc');
-  const [filterStatus, setFilterStatus] = useState('all');
-
-  /**
-   * CHALLENGE #6: Manual Sorting Implementation
-   * Libraries like TanStack Table handle this automatically
-   */
-  const sortedAndFilteredData = useMemo(() => {
-    let filtered = applications;
-
-    // Filter by status
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(app => app.status === filterStatus);
-    }
-
-    // Sort
-    const sorted = [...filtered].sort((a, b) => {
-      let aVal = a[sortField];
-      let bVal = b[sortField];
-
-      // Handle different data types
-      if (typeof aVal === 'string') {
-        aVal = aVal.toLowerCase();
-        bVal = bVal.toLowerCase();
-      }
-
-      if (sortDirection === 'asc') {
-        return aVal > bVal ? 1 : -1;
-      } else {
-        return aVal < bVal ? 1 : -1;
-      }
-    });
-
-    return sorted;
-  }, [applications, sortField, sortDirection, filterStatus]);
-
-  /**
-   * CHALLENGE #7: Manual Pagination
-   * Web libraries handle this with built-in components
-   */
-  const paginatedData = useMemo(() => {
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    return sortedAndFilteredData.slice(startIndex, endIndex);
-  }, [sortedAndFilteredData, currentPage, itemsPerPage]);
-
-  const totalPages = Math.ceil(sortedAndFilteredData.length / itemsPerPage);
-
-  const handleSort = (field) => {
-    if (sortField === field) {
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortField(field);
-      setSortDirection('asc');
-    }
-  };
-
-  const SortIndicator = ({ field }) => {
-    if (sortField !== field) return <Text style={styles.sortArrow}>⇅</Text>;
-    return (
-      <Text style={styles.sortArrowActive}>
-        {sortDirection === 'asc' ? '↑' : '↓'}
-      </Text>
-    );
-  };
-
-  /**
-   * CHALLENGE #8: Table Row Component
-   * On web, we'd use <tr> and <td>. Here we must fake it with Views
-   */
-  const renderTableRow = ({ item }) => (
-    <View style={styles.tableRow}>
-      {/* CHALLENGE: Fixed width columns are not responsive */}
-      <View style={[styles.tableCell, styles.cellId]}>
-        <Text style={styles.cellText}>{item.id}</Text>
-      </View>
-
-      <View style={[styles.tableCell, styles.cellName]}>
-        <Text style={styles.cellText} numberOfLines={1}>
-          {item.firstName} {item.lastName}
-        </Text>
-      </View>
-
-      <View style={[styles.tableCell, styles.cellEmail]}>
-        <Text style={styles.cellText} numberOfLines={1}>
-          {item.email}
+const StatusBadge = ({ status }) => (
+  <View style={[
+    styles.statusBadge,
+    status === 'submitted' ? styles.statusSubmitted : styles.statusDraft
+  ]}>
+    <Text style={styles.statusText}>{status.toUpperCase()}</Text>
+  </View>
+);
+
+const RowActions = ({ application, layout, onEdit, onDelete }) => {
+  const mobile = layout === 'mobile';
+  return (
+    <View style={mobile ? styles.mobileActions : styles.actions}>
+      <TouchableOpacity
+        style={mobile ? styles.mobileActionButton : styles.actionButton}
+        onPress={() => onEdit(application)}
+      >
+        <Text style={mobile ? styles.mobileActionButtonText : styles.actionButtonText}>Edit</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[
+          mobile ? styles.mobileActionButton : styles.actionButton,
+          styles.deleteButton
+        ]}
+        onPress={() => onDelete(application.id)}
+      >
+        <Text style={mobile ? styles.mobileActionButtonText : styles.actionButtonText}>
+          {layout === 'tablet' ? 'Del' : 'Delete'}
         </Text>
-      </View>
+      </TouchableOpacity>
+    </View>
+  );
+};
 
-      <View style={[styles.tableCell, styles.cellLocation]}>
-        <Text style={styles.cellText} numberOfLines={1}>
-          {item.city}, {item.country}
-        </Text>
-      </View>
+// CHALLENGE: Manual column widths - fixed on desktop, shares of the row on tablets
+const createColumns = ({ onEdit, onDelete }) => [
+  {
+    id: 'id',
+    header: 'ID',
+    width: 60,
+    sortable: true,
+    sortType: 'number',
+    visibleOn: ['desktop'],
+  },
+  {
+    id: 'name',
+    header: 'Name',
+    accessor: (app) => `${app.firstName} ${app.lastName}`,
+    width: { desktop: 150, tablet: '25%' },
+    sortable: true,
+    searchable: true,
+    card: 'title',
+    render: (app, { query }) => (
+      <>
+        <HighlightedText
+          style={styles.cellText}
+          numberOfLines={1}
+          text={`${app.firstName} ${app.lastName}`}
+          query={query}
+        />
+        <AttachmentCount attachments={app.attachments} />
+      </>
+    ),
+  },
+  {
+    id: 'email',
+    header: 'Email',
+    width: { desktop: 200, tablet: '25%' },
+    sortable: true,
+    searchable: true,
+  },
+  {
+    id: 'location',
+    header: 'Location',
+    // Sorts by what the cell shows, the city first. Drafts may have neither
+    // yet, and sort last like other empty values.
+    accessor: (app) => [app.city, app.country].filter(Boolean).join(', '),
+    width: 180,
+    sortable: true,
+    searchable: true,
+    visibleOn: ['mobile', 'desktop'],
+  },
+  {
+    id: 'industry',
+    header: 'Industry',
+    width: 130,
+    sortable: true,
+    searchable: true,
+    visibleOn: ['mobile', 'desktop'],
+  },
+  {
+    id: 'role',
+    header: 'Role',
+    width: { desktop: 150, tablet: '20%' },
+    sortable: true,
+    searchable: true,
+  },
+  {
+    id: 'salary',
+    header: 'Salary',
+    format: (salary) => (salary == null ? '' : `$${salary.toLocaleString()}`),
+    width: 120,
+    sortable: true,
+    sortType: 'number',
+    visibleOn: ['mobile', 'desktop'],
+  },
+  {
+    id: 'createdAt',
+    header: 'Created',
+    format: (createdAt) => (createdAt ? formatDate(toISODate(new Date(createdAt))) : ''),
+    width: 110,
+    sortable: true,
+    sortType: 'date',
+    visibleOn: ['desktop'],
+  },
+  {
+    id: 'attachments',
+    header: 'Files',
+    format: (files) => (files || []).map(file => file.name).join(', '),
+    visibleOn: ['mobile'],
+  },
+  {
+    id: 'status',
+    header: 'Status',
+    width: { desktop: 100, tablet: '15%' },
+    sortable: true,
+    card: 'badge',
+    render: (app) => <StatusBadge status={app.status} />,
+  },
+  {
+    id: 'actions',
+    header: 'Actions',
+    width: { desktop: 160, tablet: '15%' },
+    card: 'actions',
+    render: (app, { layout }) => (
+      <RowActions application={app} layout={layout} onEdit={onEdit} onDelete={onDelete} />
+    ),
+  },
+];
+
+const ApplicationsList = ({
+  repository,
+  onEdit,
+  onDelete,
+  responsive = false,
+  state: stateProp,
+  onStateChange,
+}) => {
+  const { applications, loading, error } = useApplications(repository);
+  const [ownState, setOwnState] = useState(DEFAULT_LIST_STATE);
+  const listState = stateProp ?? ownState;
+  const setListState = stateProp ? onStateChange : setOwnState;
+  const update = (changes) => setListState(prev => ({ ...prev, ...changes }));
+  const { status: filterStatus, filters } = listState;
+
+  const [showPanel, setShowPanel] = useState(true);
+  const [sheetOpen, setSheetOpen] = useState(false);
+
+  // What's typed; it reaches the list state once typing pauses...
+  const [query, setQuery] = useState(listState.query);
+  const debouncedQuery = useDebouncedValue(query, 300);
+  useEffect(() => {
+    if (debouncedQuery !== listState.query) update({ query: debouncedQuery });
+  }, [debouncedQuery]);
+  // ...and a saved view's search replaces it
+  useEffect(() => {
+    if (listState.query !== debouncedQuery) setQuery(listState.query);
+  }, [listState.query]);
+
+  const { isMobile, isTablet, width } = useResponsive();
+  const compact = responsive && isMobile;
+  // The fixed-width table always lays out like desktop
+  const sidePanel = !responsive || (!isMobile && !isTablet);
+
+  const columns = useMemo(() => createColumns({ onEdit, onDelete }), [onEdit, onDelete]);
+
+  const filteredData = useMemo(
+    () => applications.filter(app =>
+      (filterStatus === 'all' || app.status === filterStatus) && matchesFilters(app, filters)),
+    [applications, filterStatus, filters]
+  );
 
-      <View style={[styles.tableCell, styles.cellRole]}>
-        <Text style={styles.cellText} numberOfLines={1}>
-          {item.role}
-        </Text>
-      </View>
+  const table = useDataTable(filteredData, {
+    columns,
+    query: listState.query,
+    sort: listState.sort,
+    onSortChange: sort => update({ sort }),
+    page: listState.page,
+    onPageChange: page => update({ page }),
+  });
+  const searchedFor = listState.query.trim();
 
-      <View style={[styles.tableCell, styles.cellSalary]}>
-        <Text style={styles.cellText}>
-          ${item.salary.toLocaleString()}
-        </Text>
-      </View>
+  const chips = useMemo(() => getFilterChips(filters), [filters]);
 
-      <View style={[styles.tableCell, styles.cellStatus]}>
-        <View style={[
-          styles.statusBadge,
-          item.status === 'submitted' ? styles.statusSubmitted : styles.statusDraft
-        ]}>
-          <Text style={styles.statusText}>
-            {item.status.toUpperCase()}
-          </Text>
-        </View>
-      </View>
+  const changeFilters = (next) => update({ filters: next, page: 1 });
 
-      <View style={[styles.tableCell, styles.cellActions]}>
-        <TouchableOpacity
-          style={styles.actionButton}
-          onPress={() => onEdit(item)}
-        >
-          <Text style={styles.actionButtonText}>Edit</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[styles.actionButton, styles.deleteButton]}
-          onPress={() => onDelete(item.id)}
-        >
-          <Text style={styles.actionButtonText}>Delete</Text>
-        </TouchableOpacity>
-      </View>
-    </View>
+  const filterPanel = (
+    <FilterPanel filters={filters} onChange={changeFilters} active={chips.length > 0} />
   );
 
   return (
     <View style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Applications List</Text>
+        <Text style={styles.title}>
+          Applications List{responsive ? ' (Responsive)' : ''}
+        </Text>
+        {responsive && (
+          <Text style={styles.subtitle}>
+            {isMobile ? '📱 Mobile' : isTablet ? '📱 Tablet' : '💻 Desktop'} View - Width: {Math.round(width)}px
+          </Text>
+        )}
         <Text style={styles.subtitle}>
-          Total: {sortedAndFilteredData.length} applications
+          Total: {table.total} applications
+        </Text>
+      </View>
+
+      <SavedViews state={listState} onApply={setListState} />
+
+      {/* Search */}
+      <View style={styles.searchContainer}>
+        <View style={styles.searchBox}>
+          <TextInput
+            style={styles.searchInput}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search by name, email, city, role..."
+            placeholderTextColor="#999"
+            autoCorrect={false}
+            autoCapitalize="none"
+            role="searchbox"
+            aria-label="Search applications"
+          />
+          {query !== '' && (
+            <TouchableOpacity
+              style={styles.clearButton}
+              onPress={() => setQuery('')}
+              role="button"
+              aria-label="Clear search"
+            >
+              <Text style={styles.clearButtonText}>✕</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={styles.searchCount} aria-live="polite">
+          {searchedFor
+            ? `${table.total} ${table.total === 1 ? 'match' : 'matches'} for "${searchedFor}"`
+            : ''}
         </Text>
       </View>
 
       {/* Filters */}
       <View style={styles.filterContainer}>
         <Text style={styles.filterLabel}>Filter by status:</Text>
-        <View style={styles.filterButtons}>
+        <View style={[styles.filterButtons, compact && styles.filterButtonsMobile]}>
           {['all', 'submitted', 'draft'].map((status) => (
             <TouchableOpacity
               key={status}
               style={[
                 styles.filterButton,
-                filterStatus === status && styles.filterButtonActive
+                filterStatus === status && styles.filterButtonActive,
+                compact && styles.filterButtonMobile
               ]}
-              onPress={() => {
-                setFilterStatus(status);
-                setCurrentPage(1); // Reset to first page
-              }}
+              onPress={() => update({ status, page: 1 })}
             >
               <Text style={[
                 styles.filterButtonText,
@@ -199,151 +323,91 @@ const ApplicationsList = ({ onEdit, onDelete }) => {
               </Text>
             </TouchableOpacity>
           ))}
+          <TouchableOpacity
+            style={[
+              styles.filterButton,
+              chips.length > 0 && styles.filterButtonActive,
+              compact && styles.filterButtonMobile
+            ]}
+            onPress={() => (sidePanel ? setShowPanel(!showPanel) : setSheetOpen(true))}
+            role="button"
+            aria-expanded={sidePanel ? showPanel : sheetOpen}
+          >
+            <Text style={[
+              styles.filterButtonText,
+              chips.length > 0 && styles.filterButtonTextActive
+            ]}>
+              Filters{chips.length > 0 ? ` (${chips.length})` : ''}
+            </Text>
+          </TouchableOpacity>
         </View>
       </View>
 
-      {/* CHALLENGE #9: Horizontal ScrollView for table on small screens */}
-      {/* On web, this creates awkward scrolling experience */}
-      <ScrollView horizontal showsHorizontalScrollIndicator={true}>
-        <View style={styles.table}>
-          {/* Table Header */}
-          <View style={[styles.tableRow, styles.tableHeader]}>
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellId, styles.headerCell]}
-              onPress={() => handleSort('id')}
-            >
-              <Text style={styles.headerText}>ID</Text>
-              <SortIndicator field="id" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellName, styles.headerCell]}
-              onPress={() => handleSort('firstName')}
-            >
-              <Text style={styles.headerText}>Name</Text>
-              <SortIndicator field="firstName" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellEmail, styles.headerCell]}
-              onPress={() => handleSort('email')}
-            >
-              <Text style={styles.headerText}>Email</Text>
-              <SortIndicator field="email" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellLocation, styles.headerCell]}
-              onPress={() => handleSort('country')}
-            >
-              <Text style={styles.headerText}>Location</Text>
-              <SortIndicator field="country" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellRole, styles.headerCell]}
-              onPress={() => handleSort('role')}
-            >
-              <Text style={styles.headerText}>Role</Text>
-              <SortIndicator field="role" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellSalary, styles.headerCell]}
-              onPress={() => handleSort('salary')}
-            >
-              <Text style={styles.headerText}>Salary</Text>
-              <SortIndicator field="salary" />
-            </TouchableOpacity>
-
-            <TouchableOpacity
-              style={[styles.tableCell, styles.cellStatus, styles.headerCell]}
-              onPress={() => handleSort('status')}
-            >
-              <Text style={styles.headerText}>Status</Text>
-              <SortIndicator field="status" />
-            </TouchableOpacity>
-
-            <View style={[styles.tableCell, styles.cellActions, styles.headerCell]}>
-              <Text style={styles.headerText}>Actions</Text>
-            </View>
+      <View style={sidePanel ? styles.body : null}>
+        {sidePanel && showPanel && (
+          <View style={styles.sidePanel} role="region" aria-label="Filters">
+            {filterPanel}
           </View>
+        )}
 
-          {/* CHALLENGE #10: FlatList inside ScrollView is problematic */}
-          {/* On web, this causes performance and scrolling issues */}
-          <FlatList
-            data={paginatedData}
-            renderItem={renderTableRow}
-            keyExtractor={(item) => item.id.toString()}
-            scrollEnabled={false} // Disable FlatList scroll, use outer ScrollView
-            ListEmptyComponent={
-              <View style={styles.emptyContainer}>
-                <Text style={styles.emptyText}>No applications found</Text>
-              </View>
-            }
+        <View style={sidePanel ? styles.main : null}>
+          <FilterChips
+            chips={chips}
+            onRemove={chip => changeFilters(chip.remove(filters))}
+            onClearAll={() => changeFilters(EMPTY_FILTERS)}
+          />
+
+          <DataTable
+            {...table}
+            columns={columns}
+            responsive={responsive}
+            emptyText={error
+              ? 'Could not load applications'
+              : loading ? 'Loading applications...'
+                : searchedFor ? `No applications match "${searchedFor}"`
+                  : chips.length > 0 ? 'No applications match the filters' : 'No applications found'}
           />
         </View>
-      </ScrollView>
+      </View>
 
-      {/* Pagination Controls */}
-      {totalPages > 1 && (
-        <View style={styles.paginationContainer}>
+      {!sidePanel && (
+        <Modal
+          visible={sheetOpen}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={() => setSheetOpen(false)}
+        >
           <TouchableOpacity
-            style={[styles.paginationButton, currentPage === 1 && styles.paginationButtonDisabled]}
-            onPress={() => setCurrentPage(Math.max(1, currentPage - 1))}
-            disabled={currentPage === 1}
+            style={styles.sheetOverlay}
+            activeOpacity={1}
+            onPress={() => setSheetOpen(false)}
+            focusable={false}
           >
-            <Text style={[
-              styles.paginationButtonText,
-              currentPage === 1 && styles.paginationButtonTextDisabled
-            ]}>
-              Previous
-            </Text>
-          </TouchableOpacity>
-
-          <View style={styles.pageNumbers}>
-            {[...Array(totalPages)].map((_, index) => (
-              <TouchableOpacity
-                key={index + 1}
-                style={[
-                  styles.pageNumber,
-                  currentPage === index + 1 && styles.pageNumberActive
-                ]}
-                onPress={() => setCurrentPage(index + 1)}
-              >
-                <Text style={[
-                  styles.pageNumberText,
-                  currentPage === index + 1 && styles.pageNumberTextActive
-                ]}>
-                  {index + 1}
+            {/* Stop taps inside the sheet from reaching the overlay */}
+            <View style={styles.sheet} onStartShouldSetResponder={() => true}>
+              <ScrollView contentContainerStyle={styles.sheetContent}>
+                {filterPanel}
+              </ScrollView>
+              <TouchableOpacity style={styles.sheetDoneButton} onPress={() => setSheetOpen(false)}>
+                <Text style={styles.sheetDoneText}>
+                  Show {table.total} {table.total === 1 ? 'result' : 'results'}
                 </Text>
               </TouchableOpacity>
-            ))}
-          </View>
-
-          <TouchableOpacity
-            style={[
-              styles.paginationButton,
-              currentPage === totalPages && styles.paginationButtonDisabled
-            ]}
-            onPress={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-            disabled={currentPage === totalPages}
-          >
-            <Text style={[
-              styles.paginationButtonText,
-              currentPage === totalPages && styles.paginationButtonTextDisabled
-            ]}>
-              Next
-            </Text>
+            </View>
           </TouchableOpacity>
-        </View>
+        </Modal>
       )}
 
-      <View style={styles.footer}>
-        <Text style={styles.footerText}>
-          Showing {((currentPage - 1) * itemsPerPage) + 1} - {Math.min(currentPage * itemsPerPage, sortedAndFilteredData.length)} of {sortedAndFilteredData.length}
-        </Text>
-      </View>
+      {responsive && (
+        <View style={styles.debugBox}>
+          <Text style={styles.debugText}>
+            💡 Resize your browser to see responsive changes!
+          </Text>
+          <Text style={styles.debugText}>
+            Current breakpoint: {isMobile ? 'Mobile (<768px)' : isTablet ? 'Tablet (768-1024px)' : 'Desktop (>1024px)'}
+          </Text>
+        </View>
+      )}
     </View>
   );
 };
@@ -367,6 +431,40 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 4,
   },
+  searchContainer: {
+    marginBottom: 16,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    backgroundColor: '#fff',
+  },
+  searchInput: {
+    flex: 1,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+  },
+  clearButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  clearButtonText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  searchCount: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
   filterContainer: {
     marginBottom: 20,
   },
@@ -380,6 +478,9 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 8,
   },
+  filterButtonsMobile: {
+    flexDirection: 'column',
+  },
   filterButton: {
     paddingHorizontal: 16,
     paddingVertical: 8,
@@ -391,6 +492,9 @@ const styles = StyleSheet.create({
       cursor: 'pointer',
     })
   },
+  filterButtonMobile: {
+    marginBottom: 8,
+  },
   filterButtonActive: {
     backgroundColor: '#1976d2',
     borderColor: '#1976d2',
@@ -403,61 +507,56 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: '600',
   },
-  table: {
-    minWidth: 1200, // CHALLENGE: Fixed width doesn't work well on all screens
-  },
-  tableRow: {
+  body: {
     flexDirection: 'row',
-    borderBottomWidth: 1,
-    borderBottomColor: '#eee',
-    minHeight: 48,
-    alignItems: 'center',
+    alignItems: 'flex-start',
+    gap: 20,
   },
-  tableHeader: {
-    backgroundColor: '#f5f5f5',
-    borderBottomWidth: 2,
-    borderBottomColor: '#ddd',
+  sidePanel: {
+    width: 280,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    backgroundColor: '#fafafa',
   },
-  tableCell: {
-    paddingHorizontal: 12,
-    paddingVertical: 8,
-    justifyContent: 'center',
+  main: {
+    flex: 1,
   },
-  headerCell: {
-    flexDirection: 'row',
+  sheetOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    paddingBottom: 24,
+  },
+  sheetContent: {
+    padding: 20,
+  },
+  sheetDoneButton: {
+    marginHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 6,
+    backgroundColor: '#1976d2',
     alignItems: 'center',
-    gap: 4,
     ...(Platform.OS === 'web' && {
       cursor: 'pointer',
     })
   },
-  headerText: {
-    fontSize: 14,
+  sheetDoneText: {
+    fontSize: 16,
+    color: '#fff',
     fontWeight: '600',
-    color: '#333',
   },
   cellText: {
     fontSize: 14,
     color: '#333',
   },
-  sortArrow: {
-    fontSize: 12,
-    color: '#999',
-  },
-  sortArrowActive: {
-    fontSize: 12,
-    color: '#1976d2',
-    fontWeight: 'bold',
-  },
-  // CHALLENGE: Manual column widths
-  cellId: { width: 60 },
-  cellName: { width: 150 },
-  cellEmail: { width: 200 },
-  cellLocation: { width: 180 },
-  cellRole: { width: 150 },
-  cellSalary: { width: 120 },
-  cellStatus: { width: 100 },
-  cellActions: { width: 160 },
   statusBadge: {
     paddingHorizontal: 8,
     paddingVertical: 4,
@@ -475,6 +574,9 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: '600',
   },
+  actions: {
+    flexDirection: 'row',
+  },
   actionButton: {
     paddingHorizontal: 12,
     paddingVertical: 6,
@@ -493,76 +595,36 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: '600',
   },
-  emptyContainer: {
-    padding: 40,
-    alignItems: 'center',
-  },
-  emptyText: {
-    fontSize: 16,
-    color: '#999',
-  },
-  paginationContainer: {
+  mobileActions: {
     flexDirection: 'row',
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginTop: 20,
-    gap: 12,
+    gap: 8,
+    marginTop: 8,
   },
-  paginationButton: {
-    paddingHorizontal: 16,
-    paddingVertical: 8,
+  mobileActionButton: {
+    flex: 1,
+    paddingVertical: 10,
     borderRadius: 6,
     backgroundColor: '#1976d2',
-    ...(Platform.OS === 'web' && {
-      cursor: 'pointer',
-    })
-  },
-  paginationButtonDisabled: {
-    backgroundColor: '#ddd',
-  },
-  paginationButtonText: {
-    color: '#fff',
-    fontWeight: '600',
-  },
-  paginationButtonTextDisabled: {
-    color: '#999',
-  },
-  pageNumbers: {
-    flexDirection: 'row',
-    gap: 8,
-  },
-  pageNumber: {
-    width: 36,
-    height: 36,
-    borderRadius: 18,
-    backgroundColor: '#f5f5f5',
-    justifyContent: 'center',
     alignItems: 'center',
-    borderWidth: 1,
-    borderColor: '#ddd',
     ...(Platform.OS === 'web' && {
       cursor: 'pointer',
     })
   },
-  pageNumberActive: {
-    backgroundColor: '#1976d2',
-    borderColor: '#1976d2',
-  },
-  pageNumberText: {
+  mobileActionButtonText: {
     fontSize: 14,
-    color: '#333',
-  },
-  pageNumberTextActive: {
     color: '#fff',
     fontWeight: '600',
   },
-  footer: {
-    marginTop: 12,
-    alignItems: 'center',
+  debugBox: {
+    marginTop: 20,
+    padding: 12,
+    backgroundColor: '#e3f2fd',
+    borderRadius: 8,
   },
-  footerText: {
-    fontSize: 14,
-    color: '#666',
+  debugText: {
+    fontSize: 12,
+    color: '#1976d2',
+    marginBottom: 4,
   },
 });
 
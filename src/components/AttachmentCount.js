@@ -0,0 +1,27 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+// "📎 2 files" for an application's attachments; nothing when there are none
+const AttachmentCount = ({ attachments, style }) => {
+  if (!attachments?.length) return null;
+
+  return (
+    <Text
+      style={[styles.text, style]}
+      numberOfLines={1}
+      aria-label={`Attachments: ${attachments.map(file => file.name).join(', ')}`}
+    >
+      📎 {attachments.length} {attachments.length === 1 ? 'file' : 'files'}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  text: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default AttachmentCount;
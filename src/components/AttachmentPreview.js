@@ -0,0 +1,75 @@
+import React from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Linking, Platform } from 'react-native';
+
+/**
+ * Inline preview of an uploaded attachment: images are shown as is.
+ *
+ * CHALLENGE: React Native can't render a PDF without a WebView or PDF
+ * library, so on native PDFs open in the system viewer instead
+ * (AttachmentPreview.web.js embeds them on web).
+ */
+const AttachmentPreview = ({ attachment }) => {
+  if (attachment.type.startsWith('image/')) {
+    return (
+      <Image
+        source={{ uri: attachment.url }}
+        style={styles.image}
+        resizeMode="contain"
+        aria-label={attachment.name}
+      />
+    );
+  }
+
+  if (attachment.type === 'application/pdf') {
+    return (
+      <View style={styles.pdf}>
+        <Text style={styles.pdfText}>PDF previews open in your PDF viewer.</Text>
+        <TouchableOpacity
+          style={styles.openButton}
+          onPress={() => Linking.openURL(attachment.url)}
+          role="button"
+        >
+          <Text style={styles.openButtonText}>Open {attachment.name}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return null;
+};
+
+const styles = StyleSheet.create({
+  image: {
+    width: '100%',
+    height: 240,
+    backgroundColor: '#fafafa',
+    borderRadius: 6,
+  },
+  pdf: {
+    padding: 12,
+    backgroundColor: '#fafafa',
+    borderRadius: 6,
+    alignItems: 'flex-start',
+  },
+  pdfText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 8,
+  },
+  openButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  openButtonText: {
+    fontSize: 13,
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
+
+export default AttachmentPreview;
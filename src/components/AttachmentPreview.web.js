@@ -0,0 +1,43 @@
+import React from 'react';
+import { Image, StyleSheet } from 'react-native';
+
+/**
+ * Web version of AttachmentPreview: the browser can show PDFs itself, so
+ * they're embedded in an <iframe> (a plain DOM element - React Native has
+ * no equivalent).
+ */
+const AttachmentPreview = ({ attachment }) => {
+  if (attachment.type.startsWith('image/')) {
+    return (
+      <Image
+        source={{ uri: attachment.url }}
+        style={styles.image}
+        resizeMode="contain"
+        aria-label={attachment.name}
+      />
+    );
+  }
+
+  if (attachment.type === 'application/pdf') {
+    return (
+      <iframe
+        src={attachment.url}
+        title={attachment.name}
+        style={{ width: '100%', height: 400, border: 'none', borderRadius: 6 }}
+      />
+    );
+  }
+
+  return null;
+};
+
+const styles = StyleSheet.create({
+  image: {
+    width: '100%',
+    height: 240,
+    backgroundColor: '#fafafa',
+    borderRadius: 6,
+  },
+});
+
+export default AttachmentPreview;
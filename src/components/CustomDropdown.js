@@ -1,5 +1,19 @@
-import React, { useState } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Modal, FlatList, Platform } from 'react-native';
+import React, { useState, useRef, useEffect, useMemo, useId, useImperativeHandle } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+  Platform,
+} from 'react-native';
+import HighlightedText from './HighlightedText';
+import Popover from './Popover';
+import { normalizeText } from '../utils/textSearch';
+import { useResponsive } from '../utils/useResponsive';
+import { useAsyncOptions } from '../utils/useAsyncOptions';
 
 /**
  * CHALLENGE #1: Custom Dropdown Component
@@ -12,89 +26,514 @@ import { View, Text, TouchableOpacity, StyleSheet, Modal, FlatList, Platform } f
  * 3. Accessibility is hard (no native ARIA support)
  * 4. Keyboard navigation doesn't work well
  * 5. Styling inconsistencies between web/mobile
+ *
+ * What we had to add by hand to get close to a real <select>:
+ * - `searchable` combobox mode: a search field that filters options
+ *   (accent/case-insensitive) and highlights the match
+ * - Keyboard support on web: ArrowUp/ArrowDown, Home/End, Enter, Escape,
+ *   plus type-to-jump when not searchable
+ * - combobox/listbox/option roles, aria-activedescendant (web only) and
+ *   selected/expanded state for screen readers on both platforms
+ * - A popover anchored below the field (flipping above near the bottom of
+ *   the window) on web and tablets, and a bottom sheet on phones
+ * - `multiple` mode (no <select multiple> either): value is an array of
+ *   ids, options get checkboxes, selections show as removable chips, with
+ *   select all / clear and an optional `maxSelections`
+ * - `loadOptions` for lists too big to pass in (50,000 cities): searched on
+ *   the server with a debounce and fetched a page at a time while scrolling
+ *
+ * CHALLENGE: FlatList has performance issues on web with many items. Rows
+ * have a fixed height so getItemLayout can skip measuring, and only a small
+ * window of rows is rendered at a time.
  */
 
+// Used to guess the menu height before it renders, to decide whether it fits below
+const MENU_MAX_HEIGHT = 360;
+// Every option row is exactly this tall (see getItemLayout)
+const OPTION_HEIGHT = 52;
+const SEARCH_HEIGHT = 46;
+const MENU_HEADER_HEIGHT = 44;
+
 const CustomDropdown = ({
   label,
   value,
   options = [],
+  loadOptions,
+  pageSize,
   onSelect,
   error,
   disabled = false,
-  placeholder = 'Select an option'
+  loading = false,
+  onRetry,
+  searchable: searchableProp = false,
+  searchPlaceholder = 'Search...',
+  multiple = false,
+  maxSelections,
+  placeholder = 'Select an option',
+  ref
 }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(-1);
 
-  const selectedOption = options.find(opt => opt.id === value);
+  const triggerRef = useRef(null);
+  const listboxRef = useRef(null);
+  const listRef = useRef(null);
 
-  const handleSelect = (option) => {
-    onSelect(option.id);
+  // Lets forms focus the field, e.g. react-hook-form's setFocus
+  useImperativeHandle(ref, () => ({
+    focus: () => triggerRef.current?.focus?.(),
+  }), []);
+
+  // Async sources are always searched - on the server
+  const isAsync = Boolean(loadOptions);
+  const searchable = searchableProp || isAsync;
+  const source = useAsyncOptions(loadOptions, { query, enabled: isAsync && isOpen, pageSize });
+
+  // Async results change with every search; remember every option seen so
+  // selected values keep their labels
+  const [knownOptions, setKnownOptions] = useState({});
+  const rememberOptions = (found) => {
+    if (found.length === 0) return;
+    setKnownOptions(prev => ({
+      ...prev,
+      ...Object.fromEntries(found.map(opt => [opt.id, opt])),
+    }));
+  };
+  useEffect(() => rememberOptions(source.options), [source.options]);
+
+  const findOption = (id) =>
+    (isAsync ? knownOptions[id] : options.find(opt => opt.id === id));
+
+  // CHALLENGE: ARIA relationships need stable DOM ids; only used on web
+  const baseId = useId();
+  const listboxId = `${baseId}-listbox`;
+  const optionId = (option) => `${baseId}-option-${option.id}`;
+
+  const { isMobile } = useResponsive();
+  const anchored = Platform.OS === 'web' || !isMobile;
+  const menuHeight = Math.min(
+    MENU_MAX_HEIGHT,
+    (searchable ? SEARCH_HEIGHT : 0)
+      + (multiple ? MENU_HEADER_HEIGHT : 0)
+      + (isAsync ? Infinity : Math.max(options.length, 1) * OPTION_HEIGHT)
+  );
+
+  const selectedOption = multiple ? null : findOption(value);
+  const selectedIds = multiple ? (value || []) : [];
+  // Chips keep the order things were picked in
+  const selectedOptions = selectedIds.map(findOption).filter(Boolean);
+
+  // Saved values (e.g. an edited draft) may not be in any page loaded yet
+  const unknownIds = (multiple ? selectedIds : [value])
+    .filter(id => id && !knownOptions[id]);
+  useEffect(() => {
+    if (!isAsync || unknownIds.length === 0) return;
+
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => loadOptions({ ids: unknownIds }))
+      .then((result) => {
+        if (!cancelled) rememberOptions(result.data);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [isAsync, unknownIds.join(',')]);
+
+  const isSelected = (option) =>
+    (multiple ? selectedIds.includes(option.id) : option.id === value);
+  const atMax = multiple && maxSelections != null && selectedIds.length >= maxSelections;
+  const isDisabled = disabled || loading;
+
+  // Normalize once per options list rather than on every keystroke
+  const searchIndex = useMemo(
+    () => (searchable && !isAsync ? options.map(opt => normalizeText(opt.name)) : null),
+    [options, searchable, isAsync]
+  );
+
+  const visibleOptions = useMemo(() => {
+    if (isAsync) return source.options;
+
+    const normalizedQuery = normalizeText(query).trim();
+    if (!searchIndex || !normalizedQuery) return options;
+    return options.filter((opt, index) => searchIndex[index].includes(normalizedQuery));
+  }, [isAsync, source.options, options, searchIndex, query]);
+  const activeOption = visibleOptions[activeIndex];
+  const canSelectMore = !atMax && visibleOptions.some(opt => !isSelected(opt));
+
+  const open = () => {
+    if (isDisabled) return;
+    setQuery('');
+    setActiveIndex(Math.max(0, options.findIndex(isSelected)));
+    setIsOpen(true);
+  };
+
+  const close = () => {
     setIsOpen(false);
+    // Return focus to the field, like a native select does
+    triggerRef.current?.focus?.();
+  };
+
+  const handleSelect = (option) => {
+    if (!multiple) {
+      onSelect(option.id);
+      close();
+      return;
+    }
+
+    // Multi-select stays open so several options can be toggled in a row
+    if (isSelected(option)) {
+      onSelect(selectedIds.filter(id => id !== option.id));
+    } else if (!atMax) {
+      onSelect([...selectedIds, option.id]);
+    }
+  };
+
+  const handleRemove = (option) => {
+    onSelect(selectedIds.filter(id => id !== option.id));
   };
 
+  // Adds the visible (filtered) options, up to maxSelections
+  const handleSelectAll = () => {
+    const room = (maxSelections ?? Infinity) - selectedIds.length;
+    const additions = visibleOptions
+      .filter(opt => !isSelected(opt))
+      .slice(0, room)
+      .map(opt => opt.id);
+    onSelect([...selectedIds, ...additions]);
+  };
+
+  const handleClear = () => onSelect([]);
+
+  const moveActive = (index) => {
+    if (visibleOptions.length === 0) return;
+    setActiveIndex(Math.min(Math.max(index, 0), visibleOptions.length - 1));
+  };
+
+  // Typing filters the list; keep the first match highlighted
+  useEffect(() => {
+    if (isOpen && searchable) {
+      setActiveIndex(0);
+    }
+  }, [query]);
+
+  // Keep the highlighted option scrolled into view
+  useEffect(() => {
+    if (isOpen && activeIndex >= 0 && activeIndex < visibleOptions.length) {
+      listRef.current?.scrollToIndex({ index: activeIndex, viewPosition: 0.5, animated: false });
+    }
+  }, [activeIndex, isOpen]);
+
+  // Without a search field, the listbox itself takes focus for keyboard users
+  useEffect(() => {
+    if (isOpen && !searchable && Platform.OS === 'web') {
+      const timer = setTimeout(() => listboxRef.current?.focus?.(), 0);
+      return () => clearTimeout(timer);
+    }
+  }, [isOpen, searchable]);
+
+  /**
+   * CHALLENGE: Keyboard events only exist on web (onKeyDown on a View is a
+   * react-native-web extension). Native users rely on touch + screen reader.
+   */
+  const handleTriggerKeyDown = (event) => {
+    const key = event.nativeEvent.key;
+    if (!isOpen && (key === 'ArrowDown' || key === 'ArrowUp')) {
+      event.preventDefault();
+      open();
+    }
+  };
+
+  const handleListKeyDown = (event) => {
+    const key = event.nativeEvent.key;
+
+    switch (key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        moveActive(activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        moveActive(activeIndex - 1);
+        break;
+      case 'Home':
+        event.preventDefault();
+        moveActive(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        moveActive(visibleOptions.length - 1);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (activeOption) handleSelect(activeOption);
+        break;
+      case 'Backspace':
+        // Like a tag input: Backspace on an empty search removes the last chip
+        if (multiple && !query && selectedOptions.length > 0) {
+          event.preventDefault();
+          handleRemove(selectedOptions[selectedOptions.length - 1]);
+        }
+        break;
+      case 'Escape':
+      case 'Tab':
+        event.preventDefault();
+        close();
+        break;
+      default:
+        // Type-to-jump: first option (after the current one) starting with the key
+        if (!searchable && key.length === 1) {
+          const char = key.toLowerCase();
+          const count = visibleOptions.length;
+          for (let step = 1; step <= count; step++) {
+            const index = (activeIndex + step) % count;
+            if (visibleOptions[index].name.toLowerCase().startsWith(char)) {
+              setActiveIndex(index);
+              break;
+            }
+          }
+        }
+        break;
+    }
+  };
+
+  const menu = (
+    <>
+      {searchable && (
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          // RNW's TextInput stops keydown from bubbling to the menu
+          onKeyPress={handleListKeyDown}
+          placeholder={searchPlaceholder}
+          autoFocus
+          autoCorrect={false}
+          autoCapitalize="none"
+          role="combobox"
+          aria-label={label ? `Search ${label}` : 'Search options'}
+          aria-expanded={true}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeOption ? optionId(activeOption) : undefined}
+        />
+      )}
+
+      {multiple && (
+        <View style={styles.menuHeader}>
+          <Text style={styles.selectionCount}>
+            {maxSelections != null
+              ? `${selectedIds.length} of ${maxSelections} selected`
+              : `${selectedIds.length} selected`}
+          </Text>
+          <View style={styles.menuActions}>
+            <TouchableOpacity onPress={handleSelectAll} disabled={!canSelectMore}>
+              <Text style={[styles.menuAction, !canSelectMore && styles.menuActionDisabled]}>
+                Select all
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleClear} disabled={selectedIds.length === 0}>
+              <Text style={[styles.menuAction, selectedIds.length === 0 && styles.menuActionDisabled]}>
+                Clear
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {/* Without a search field, the listbox itself takes keyboard focus */}
+      <View
+        ref={listboxRef}
+        id={listboxId}
+        role="listbox"
+        aria-label={label}
+        aria-multiselectable={multiple}
+        aria-activedescendant={!searchable && activeOption ? optionId(activeOption) : undefined}
+        focusable={!searchable}
+        style={styles.listbox}
+      >
+        <FlatList
+          ref={listRef}
+          data={visibleOptions}
+          keyExtractor={(item) => item.id.toString()}
+          keyboardShouldPersistTaps="handled"
+          getItemLayout={(data, index) => ({
+            length: OPTION_HEIGHT,
+            offset: OPTION_HEIGHT * index,
+            index,
+          })}
+          initialNumToRender={20}
+          maxToRenderPerBatch={20}
+          windowSize={5}
+          onEndReached={isAsync ? source.loadMore : undefined}
+          onEndReachedThreshold={0.5}
+          renderItem={({ item, index }) => {
+            const selected = isSelected(item);
+            const unavailable = !selected && atMax;
+
+            return (
+              <TouchableOpacity
+                id={optionId(item)}
+                role="option"
+                aria-selected={selected}
+                aria-disabled={unavailable}
+                focusable={false}
+                style={[
+                  styles.optionItem,
+                  selected && styles.optionItemSelected,
+                  index === activeIndex && styles.optionItemActive,
+                  unavailable && styles.optionItemUnavailable
+                ]}
+                onPress={() => handleSelect(item)}
+              >
+                {multiple && (
+                  <View style={[styles.checkbox, selected && styles.checkboxChecked]}>
+                    {selected && <Text style={styles.checkmark}>✓</Text>}
+                  </View>
+                )}
+                <HighlightedText
+                  text={item.name}
+                  query={searchable ? query : ''}
+                  numberOfLines={1}
+                  style={[
+                    styles.optionText,
+                    selected && styles.optionTextSelected
+                  ]}
+                />
+              </TouchableOpacity>
+            );
+          }}
+          ListEmptyComponent={
+            source.error ? null : (
+              <Text style={styles.emptyText}>
+                {source.loading
+                  ? 'Loading...'
+                  : query ? `No matches for "${query}"` : 'No options'}
+              </Text>
+            )
+          }
+          ListFooterComponent={
+            source.error ? (
+              <View style={[styles.errorRow, styles.listFooter]}>
+                <Text style={styles.errorText}>Could not load options</Text>
+                <TouchableOpacity onPress={source.reload}>
+                  <Text style={styles.retryText}>Retry</Text>
+                </TouchableOpacity>
+              </View>
+            ) : source.loading && visibleOptions.length > 0 ? (
+              <Text style={styles.emptyText}>Loading more...</Text>
+            ) : null
+          }
+          style={styles.optionsList}
+        />
+      </View>
+    </>
+  );
+
   return (
-    <View style={styles.container}>
+    <View style={styles.container} onKeyDown={handleTriggerKeyDown}>
       {label && <Text style={styles.label}>{label}</Text>}
 
       {/* CHALLENGE: TouchableOpacity on web doesn't feel like native select */}
       <TouchableOpacity
+        ref={triggerRef}
+        role="combobox"
+        aria-label={label}
+        aria-expanded={isOpen}
+        aria-disabled={isDisabled}
+        aria-controls={listboxId}
+        aria-haspopup="listbox"
         style={[
           styles.selectButton,
           error && styles.selectButtonError,
-          disabled && styles.selectButtonDisabled
+          isDisabled && styles.selectButtonDisabled
         ]}
-        onPress={() => !disabled && setIsOpen(true)}
-        disabled={disabled}
+        // The popover doesn't cover the field, so pressing it again closes the menu
+        onPress={isOpen ? close : open}
+        disabled={isDisabled}
       >
-        <Text style={[
-          styles.selectText,
-          !selectedOption && styles.placeholder
-        ]}>
-          {selectedOption ? selectedOption.name : placeholder}
-        </Text>
+        {multiple && !loading && selectedOptions.length > 0 ? (
+          <View style={styles.chips}>
+            {selectedOptions.map(option => (
+              <View key={option.id} style={styles.chip}>
+                <Text style={styles.chipText}>{option.name}</Text>
+                <TouchableOpacity
+                  role="button"
+                  aria-label={`Remove ${option.name}`}
+                  onPress={() => handleRemove(option)}
+                  disabled={isDisabled}
+                  hitSlop={8}
+                  style={styles.chipRemove}
+                >
+                  <Text style={styles.chipRemoveText}>×</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        ) : (
+          <Text style={[
+            styles.selectText,
+            (!selectedOption || loading) && styles.placeholder
+          ]}>
+            {loading ? 'Loading...' : selectedOption ? selectedOption.name : placeholder}
+          </Text>
+        )}
         <Text style={styles.arrow}>▼</Text>
       </TouchableOpacity>
 
-      {error && <Text style={styles.errorText}>{error}</Text>}
+      {error && (
+        <View style={styles.errorRow}>
+          <Text style={styles.errorText}>{error}</Text>
+          {onRetry && (
+            <TouchableOpacity onPress={onRetry}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
 
-      {/* CHALLENGE: Modal on web creates overlay issues, not like native dropdown */}
-      <Modal
-        visible={isOpen}
-        transparent={true}
-        animationType="fade"
-        onRequestClose={() => setIsOpen(false)}
-      >
-        <TouchableOpacity
-          style={styles.modalOverlay}
-          activeOpacity={1}
-          onPress={() => setIsOpen(false)}
+      {/*
+        CHALLENGE: Modal on web creates overlay issues, not like native dropdown.
+        Web and tablets get a popover anchored to the field; phones keep a
+        bottom sheet, which is what native pickers do on small screens.
+      */}
+      {anchored ? (
+        <Popover
+          visible={isOpen}
+          anchorRef={triggerRef}
+          onDismiss={close}
+          preferredHeight={menuHeight}
+          // Chips can wrap onto more lines and push the popover down
+          updateKey={selectedIds.join(',')}
+          style={styles.menu}
+          onKeyDown={handleListKeyDown}
         >
-          <View style={styles.modalContent}>
-            {/* CHALLENGE: FlatList has performance issues on web with many items */}
-            <FlatList
-              data={options}
-              keyExtractor={(item) => item.id.toString()}
-              renderItem={({ item }) => (
-                <TouchableOpacity
-                  style={[
-                    styles.optionItem,
-                    item.id === value && styles.optionItemSelected
-                  ]}
-                  onPress={() => handleSelect(item)}
-                >
-                  <Text style={[
-                    styles.optionText,
-                    item.id === value && styles.optionTextSelected
-                  ]}>
-                    {item.name}
-                  </Text>
-                </TouchableOpacity>
-              )}
-              style={styles.optionsList}
-            />
-          </View>
-        </TouchableOpacity>
-      </Modal>
+          {menu}
+        </Popover>
+      ) : (
+        <Modal
+          visible={isOpen}
+          transparent={true}
+          animationType="slide"
+          onRequestClose={close}
+        >
+          <TouchableOpacity
+            style={styles.sheetOverlay}
+            activeOpacity={1}
+            onPress={close}
+            focusable={false}
+          >
+            {/* Stop taps inside the sheet from reaching the overlay */}
+            <View
+              style={[styles.menu, styles.sheet]}
+              onStartShouldSetResponder={() => true}
+              onKeyDown={handleListKeyDown}
+            >
+              {menu}
+            </View>
+          </TouchableOpacity>
+        </Modal>
+      )}
     </View>
   );
 };
@@ -144,6 +583,36 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  chips: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e3f2fd',
+    borderRadius: 12,
+    paddingLeft: 10,
+    paddingRight: 4,
+    paddingVertical: 2,
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#1976d2',
+  },
+  chipRemove: {
+    marginLeft: 4,
+    paddingHorizontal: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  chipRemoveText: {
+    fontSize: 16,
+    color: '#1976d2',
+  },
   placeholder: {
     color: '#999',
   },
@@ -151,23 +620,29 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
+  errorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
   errorText: {
     color: '#d32f2f',
     fontSize: 12,
     marginTop: 4,
   },
-  modalOverlay: {
-    flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.5)',
-    justifyContent: 'center',
-    alignItems: 'center',
+  retryText: {
+    color: '#1976d2',
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
   },
-  modalContent: {
+  menu: {
     backgroundColor: '#fff',
     borderRadius: 8,
-    width: '80%',
-    maxWidth: 400,
-    maxHeight: 400,
+    overflow: 'hidden',
     // CHALLENGE: Shadow styling differences
     ...Platform.select({
       web: {
@@ -182,11 +657,70 @@ const styles = StyleSheet.create({
       }
     })
   },
+  sheetOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '70%',
+    borderBottomLeftRadius: 0,
+    borderBottomRightRadius: 0,
+    paddingBottom: 24,
+  },
+  searchInput: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    padding: 12,
+    fontSize: 16,
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    })
+  },
+  listbox: {
+    // Shrink with the popover when there's little room around the field
+    flexShrink: 1,
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    })
+  },
+  menuHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  selectionCount: {
+    fontSize: 14,
+    color: '#666',
+  },
+  menuActions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  menuAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  menuActionDisabled: {
+    color: '#bbb',
+  },
   optionsList: {
-    maxHeight: 300,
+    flexShrink: 1,
   },
   optionItem: {
-    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    height: OPTION_HEIGHT,
+    paddingHorizontal: 16,
     borderBottomWidth: 1,
     borderBottomColor: '#eee',
     // CHALLENGE: Hover states require different approaches
@@ -194,10 +728,35 @@ const styles = StyleSheet.create({
       cursor: 'pointer',
     })
   },
+  optionItemActive: {
+    backgroundColor: '#f0f0f0',
+  },
   optionItemSelected: {
     backgroundColor: '#e3f2fd',
   },
+  optionItemUnavailable: {
+    opacity: 0.4,
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderWidth: 2,
+    borderColor: '#999',
+    borderRadius: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#1976d2',
+    borderColor: '#1976d2',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   optionText: {
+    flexShrink: 1,
     fontSize: 16,
     color: '#333',
   },
@@ -205,6 +764,15 @@ const styles = StyleSheet.create({
     color: '#1976d2',
     fontWeight: '600',
   },
+  listFooter: {
+    padding: 16,
+    paddingTop: 12,
+  },
+  emptyText: {
+    padding: 16,
+    fontSize: 14,
+    color: '#999',
+  },
 });
 
 export default CustomDropdown;
@@ -0,0 +1,490 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import HighlightedText from './HighlightedText';
+import { useResponsive } from '../utils/useResponsive';
+import { getCellText } from '../utils/useDataTable';
+
+/**
+ * CHALLENGE #5: Data Tables/Grids on React Native Web
+ *
+ * Major Issues:
+ * 1. No native table component - must build with FlatList
+ * 2. FlatList performance issues on web with large datasets
+ * 3. Column resizing doesn't exist
+ * 4. Horizontal scrolling is awkward on web
+ * 5. No native sorting UI
+ * 6. No built-in pagination components
+ * 7. Can't use popular React table libraries (AG-Grid, TanStack Table, etc.)
+ * 8. Accessibility is poor (no proper table semantics)
+ * 9. Selection/checkboxes are manual
+ * 10. Responsive design is very difficult
+ *
+ * So we have our own, driven by an array of columns like a DataGrid's:
+ * a table on desktop/tablet and a list of cards on mobile, from the same
+ * config. Sorting and paging state comes from utils/useDataTable.js.
+ *
+ * Column options:
+ *   id          key, also what a sort key's `field` refers to
+ *   header      header text (and the label on mobile cards)
+ *   accessor    property name or (row) => value, for sorting and display (default: row[id])
+ *   format      (value, row) => text shown in the cell (default: the value)
+ *   render      (row, { layout, query }) => element, instead of text (badges, buttons...)
+ *   searchable  the search `query` (see useDataTable) looks at this column, and hits
+ *               are highlighted in it; `render` gets the query to do that itself
+ *   width       px or a percentage, or per layout: { desktop: 150, tablet: '25%' }
+ *   sortable    the header sorts by this column; shift-click (long press on touch
+ *               screens) adds it as another sort key
+ *   sortType    'number' | 'date' | 'string' or (a, b) => number (see utils/sorting.js;
+ *               guessed from the values when left out)
+ *   visibleOn   layouts that show the column: 'mobile' | 'tablet' | 'desktop' (default all)
+ *   card        mobile only - 'title' or 'badge' for the card's header, 'actions' for its
+ *               footer; other columns are "Header: value" lines, left out when empty
+ *
+ * With `responsive={false}` it's always the desktop table, scrolling sideways
+ * when it doesn't fit.
+ */
+
+const getWidth = (column, layout) =>
+  (column.width && typeof column.width === 'object' ? column.width[layout] : column.width);
+
+// With several sort keys each arrow also shows the key's position
+const SortIndicator = ({ sort, field }) => {
+  const index = sort.findIndex(key => key.field === field);
+  if (index < 0) return <Text style={styles.sortArrow}>⇅</Text>;
+  return (
+    <Text style={styles.sortArrowActive}>
+      {sort[index].direction === 'asc' ? '↑' : '↓'}
+      {sort.length > 1 ? index + 1 : ''}
+    </Text>
+  );
+};
+
+const DataTable = ({
+  columns,
+  rows,
+  sort,
+  onSort,
+  page,
+  totalPages,
+  onPageChange,
+  pageSize,
+  total,
+  query = '',
+  responsive = true,
+  emptyText = 'No results',
+  keyExtractor = (row) => String(row.id),
+}) => {
+  // CHALLENGE #21: Must use a JavaScript hook instead of CSS media queries
+  const { isMobile, isTablet } = useResponsive();
+  const layout = !responsive ? 'desktop' : isMobile ? 'mobile' : isTablet ? 'tablet' : 'desktop';
+  const visibleColumns = columns.filter(column => !column.visibleOn || column.visibleOn.includes(layout));
+
+  // Plain text cells, with the search hit highlighted in searchable columns
+  const renderText = (column, row, style) => (
+    <HighlightedText
+      style={style}
+      numberOfLines={1}
+      text={getCellText(column, row)}
+      query={column.searchable ? query : ''}
+    />
+  );
+
+  const renderCell = (column, row) => (column.render
+    ? column.render(row, { layout, query })
+    : renderText(column, row, styles.cellText));
+
+  const emptyComponent = (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyText}>{emptyText}</Text>
+    </View>
+  );
+
+  const sortLabel = (column) => {
+    const index = sort.findIndex(key => key.field === column.id);
+    if (index < 0) return `${column.header}, not sorted`;
+    const direction = sort[index].direction === 'asc' ? 'ascending' : 'descending';
+    return sort.length > 1
+      ? `${column.header}, sorted ${direction}, sort key ${index + 1} of ${sort.length}`
+      : `${column.header}, sorted ${direction}`;
+  };
+
+  /**
+   * CHALLENGE #8: Table Row Component
+   * On web, we'd use <tr> and <td>. Here we must fake it with Views
+   */
+  const renderTableRow = ({ item }) => (
+    <View style={styles.tableRow}>
+      {visibleColumns.map(column => (
+        <View key={column.id} style={[styles.tableCell, { width: getWidth(column, layout) }]}>
+          {renderCell(column, item)}
+        </View>
+      ))}
+    </View>
+  );
+
+  /**
+   * MOBILE VIEW: Card Layout
+   * On mobile, we show data as cards instead of table
+   */
+  const renderCard = ({ item }) => {
+    const title = visibleColumns.find(column => column.card === 'title');
+    const badge = visibleColumns.find(column => column.card === 'badge');
+    const actions = visibleColumns.find(column => column.card === 'actions');
+    const lines = visibleColumns
+      .filter(column => !column.card)
+      .filter(column => column.render || (getCellText(column, item) ?? '') !== '');
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          {title ? renderText(title, item, styles.cardTitle) : <View style={styles.cardTitleSpacer} />}
+          {badge && renderCell(badge, item)}
+        </View>
+
+        <View style={styles.cardBody}>
+          {lines.map(column => (
+            <View key={column.id} style={styles.cardRow}>
+              <Text style={styles.cardLabel}>{column.header}:</Text>
+              {column.render
+                ? column.render(item, { layout, query })
+                : renderText(column, item, styles.cardValue)}
+            </View>
+          ))}
+        </View>
+
+        {actions && renderCell(actions, item)}
+      </View>
+    );
+  };
+
+  const renderTable = () => (
+    <View style={!responsive && { minWidth: visibleColumns.reduce((sum, column) => sum + getWidth(column, layout), 0) }}>
+      <View style={[styles.tableRow, styles.tableHeader]}>
+        {visibleColumns.map(column => (column.sortable ? (
+          <TouchableOpacity
+            key={column.id}
+            style={[styles.tableCell, { width: getWidth(column, layout) }, styles.headerCell, styles.sortableHeader]}
+            // CHALLENGE: No modifier keys on touch screens - a long press adds the key there
+            onPress={event => onSort(column.id, { add: !!event?.nativeEvent?.shiftKey })}
+            onLongPress={() => onSort(column.id, { add: true })}
+            role="button"
+            aria-label={sortLabel(column)}
+          >
+            <Text style={styles.headerText}>{column.header}</Text>
+            <SortIndicator sort={sort} field={column.id} />
+          </TouchableOpacity>
+        ) : (
+          <View key={column.id} style={[styles.tableCell, { width: getWidth(column, layout) }, styles.headerCell]}>
+            <Text style={styles.headerText}>{column.header}</Text>
+          </View>
+        )))}
+      </View>
+
+      {/* CHALLENGE #10: FlatList inside ScrollView is problematic */}
+      {/* On web, this causes performance and scrolling issues */}
+      <FlatList
+        data={rows}
+        renderItem={renderTableRow}
+        keyExtractor={keyExtractor}
+        scrollEnabled={false} // Disable FlatList scroll, use outer ScrollView
+        ListEmptyComponent={emptyComponent}
+      />
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* CHALLENGE: Conditional rendering based on screen size */}
+      {layout === 'mobile' ? (
+        <FlatList
+          data={rows}
+          renderItem={renderCard}
+          keyExtractor={keyExtractor}
+          ListEmptyComponent={emptyComponent}
+        />
+      ) : responsive ? (
+        renderTable()
+      ) : (
+        // CHALLENGE #9: Horizontal ScrollView for table on small screens
+        // On web, this creates awkward scrolling experience
+        <ScrollView horizontal showsHorizontalScrollIndicator={true}>
+          {renderTable()}
+        </ScrollView>
+      )}
+
+      {/* CHALLENGE #7: Pagination controls built by hand */}
+      {totalPages > 1 && (
+        <View style={[
+          styles.paginationContainer,
+          layout === 'mobile' && styles.paginationContainerMobile
+        ]}>
+          <TouchableOpacity
+            style={[
+              styles.paginationButton,
+              page === 1 && styles.paginationButtonDisabled,
+              layout === 'mobile' && styles.paginationButtonMobile
+            ]}
+            onPress={() => onPageChange(Math.max(1, page - 1))}
+            disabled={page === 1}
+          >
+            <Text style={[
+              styles.paginationButtonText,
+              page === 1 && styles.paginationButtonTextDisabled
+            ]}>
+              {layout === 'mobile' ? '←' : 'Previous'}
+            </Text>
+          </TouchableOpacity>
+
+          <View style={styles.pageNumbers}>
+            {[...Array(totalPages)].map((_, index) => (
+              <TouchableOpacity
+                key={index + 1}
+                style={[
+                  styles.pageNumber,
+                  page === index + 1 && styles.pageNumberActive,
+                  layout === 'mobile' && styles.pageNumberMobile
+                ]}
+                onPress={() => onPageChange(index + 1)}
+              >
+                <Text style={[
+                  styles.pageNumberText,
+                  page === index + 1 && styles.pageNumberTextActive
+                ]}>
+                  {index + 1}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[
+              styles.paginationButton,
+              page === totalPages && styles.paginationButtonDisabled,
+              layout === 'mobile' && styles.paginationButtonMobile
+            ]}
+            onPress={() => onPageChange(Math.min(totalPages, page + 1))}
+            disabled={page === totalPages}
+          >
+            <Text style={[
+              styles.paginationButtonText,
+              page === totalPages && styles.paginationButtonTextDisabled
+            ]}>
+              {layout === 'mobile' ? '→' : 'Next'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.footer}>
+        <Text style={styles.footerText}>
+          Showing {((page - 1) * pageSize) + 1} - {Math.min(page * pageSize, total)} of {total}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+
+  // Table Styles
+  tableRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    minHeight: 48,
+    alignItems: 'center',
+  },
+  tableHeader: {
+    backgroundColor: '#f5f5f5',
+    borderBottomWidth: 2,
+    borderBottomColor: '#ddd',
+  },
+  tableCell: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    justifyContent: 'center',
+  },
+  headerCell: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  sortableHeader: {
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  headerText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  cellText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  sortArrow: {
+    fontSize: 12,
+    color: '#999',
+  },
+  sortArrowActive: {
+    fontSize: 12,
+    color: '#1976d2',
+    fontWeight: 'bold',
+  },
+
+  // Mobile Card Styles
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    ...Platform.select({
+      web: {
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+      },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+        elevation: 3,
+      }
+    })
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  cardTitleSpacer: {
+    flex: 1,
+  },
+  cardBody: {
+    marginBottom: 12,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  cardLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    width: 80,
+  },
+  cardValue: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+
+  emptyContainer: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+  },
+
+  // Pagination
+  paginationContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+    gap: 12,
+  },
+  paginationContainerMobile: {
+    gap: 8,
+  },
+  paginationButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  paginationButtonMobile: {
+    paddingHorizontal: 12,
+  },
+  paginationButtonDisabled: {
+    backgroundColor: '#ddd',
+  },
+  paginationButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  paginationButtonTextDisabled: {
+    color: '#999',
+  },
+  pageNumbers: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  pageNumber: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#f5f5f5',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  pageNumberMobile: {
+    width: 32,
+    height: 32,
+  },
+  pageNumberActive: {
+    backgroundColor: '#1976d2',
+    borderColor: '#1976d2',
+  },
+  pageNumberText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  pageNumberTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  footer: {
+    marginTop: 12,
+    alignItems: 'center',
+  },
+  footerText: {
+    fontSize: 14,
+    color: '#666',
+  },
+});
+
+export default DataTable;
@@ -0,0 +1,516 @@
+import React, { useState, useRef, useEffect, useId, useImperativeHandle } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import Popover from './Popover';
+import {
+  DEFAULT_LOCALE,
+  today,
+  addDays,
+  addMonths,
+  startOfMonth,
+  dayOfWeek,
+  clampDate,
+  isDateAllowed,
+  getDatePattern,
+  formatDate,
+  formatLongDate,
+  formatMonthTitle,
+  parseDate,
+  getFirstDayOfWeek,
+  getWeekdayNames,
+  getCalendarWeeks,
+} from '../utils/dates';
+
+/**
+ * CHALLENGE #25: Date Picker
+ *
+ * <input type="date"> doesn't exist in React Native, and the platform
+ * pickers (@react-native-community/datetimepicker) don't run on web, look
+ * nothing alike on iOS and Android, and have no range mode. So this is a
+ * calendar built from Views, the same on every platform:
+ *
+ * - Type the date in the locale's format ("12/31/2024", "31.12.2024"),
+ *   checked when the input loses focus, or pick it on the calendar
+ * - minDate/maxDate and `isDateDisabled(iso)` (weekends, holidays...)
+ * - `range` mode: value is { start, end }; the first pick sets the start,
+ *   the second the end
+ * - Keyboard support on web like the WAI-ARIA date picker dialog: arrows
+ *   move by day/week, PageUp/PageDown by month (with Shift by year),
+ *   Home/End to the week's start/end, Enter to pick, Escape to close
+ *
+ * Values are "YYYY-MM-DD" strings (see utils/dates.js); '' when empty.
+ */
+
+// Used to guess the calendar height before it renders, to decide whether it fits below
+const CALENDAR_HEIGHT = 360;
+
+const DatePicker = ({
+  label,
+  value,
+  onChange,
+  range = false,
+  minDate,
+  maxDate,
+  isDateDisabled,
+  locale = DEFAULT_LOCALE,
+  startLabel = 'Start',
+  endLabel = 'End',
+  error,
+  ref
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [visibleMonth, setVisibleMonth] = useState(() => startOfMonth(today()));
+  const [activeDate, setActiveDate] = useState(null);
+  // Range mode: the start has been picked and the next pick is the end
+  const [selectingEnd, setSelectingEnd] = useState(false);
+
+  const fieldRef = useRef(null);
+  const inputRefs = useRef({});
+  const toggleRef = useRef(null);
+  const gridRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    focus: () => inputRefs.current.start?.focus?.(),
+  }), []);
+
+  const dates = range
+    ? { start: value?.start || '', end: value?.end || '' }
+    : { start: value || '' };
+  const inputKeys = Object.keys(dates);
+  const constraints = { minDate, maxDate, isDateDisabled };
+
+  // What's in the inputs; only turned into dates when an input loses focus
+  const [texts, setTexts] = useState({});
+  const [inputErrors, setInputErrors] = useState({});
+  useEffect(() => {
+    setTexts(Object.fromEntries(inputKeys.map(key => [key, formatDate(dates[key], locale)])));
+    setInputErrors({});
+  }, [dates.start, dates.end, locale]);
+
+  const pattern = getDatePattern(locale);
+  const firstDayOfWeek = getFirstDayOfWeek(locale);
+  const todayIso = today();
+
+  const emit = (next) => onChange(range ? next : next.start);
+
+  const commitText = (key) => {
+    const text = (texts[key] || '').trim();
+    if (!text) {
+      if (dates[key]) emit({ ...dates, [key]: '' });
+      return;
+    }
+
+    const parsed = parseDate(text, locale);
+    if (!parsed) {
+      setInputErrors(prev => ({ ...prev, [key]: `Enter a date as ${pattern}` }));
+    } else if (!isDateAllowed(parsed, constraints)) {
+      setInputErrors(prev => ({ ...prev, [key]: `${formatLongDate(parsed, locale)} isn't available` }));
+    } else {
+      setTexts(prev => ({ ...prev, [key]: formatDate(parsed, locale) }));
+      setInputErrors(prev => ({ ...prev, [key]: null }));
+      if (parsed !== dates[key]) emit({ ...dates, [key]: parsed });
+    }
+  };
+
+  const showDate = (iso) => {
+    const clamped = clampDate(iso, minDate, maxDate);
+    setActiveDate(clamped);
+    setVisibleMonth(startOfMonth(clamped));
+  };
+
+  const open = () => {
+    showDate(dates.start || todayIso);
+    setSelectingEnd(false);
+    setIsOpen(true);
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    toggleRef.current?.focus?.();
+  };
+
+  const selectDate = (iso) => {
+    if (!isDateAllowed(iso, constraints)) return;
+
+    if (!range) {
+      emit({ start: iso });
+      close();
+    } else if (!selectingEnd || iso < dates.start) {
+      // An end before the start begins a new range instead
+      emit({ start: iso, end: '' });
+      setSelectingEnd(true);
+      setActiveDate(iso);
+    } else {
+      emit({ start: dates.start, end: iso });
+      close();
+    }
+  };
+
+  // ARIA ids for aria-activedescendant (web only)
+  const baseId = useId();
+  const dayId = (iso) => `${baseId}-${iso}`;
+
+  // Without this the grid can't receive key presses on web
+  useEffect(() => {
+    if (isOpen && Platform.OS === 'web') {
+      const timer = setTimeout(() => gridRef.current?.focus?.(), 0);
+      return () => clearTimeout(timer);
+    }
+  }, [isOpen]);
+
+  /**
+   * CHALLENGE: Keyboard events only exist on web (onKeyDown on a View is a
+   * react-native-web extension). Native users tap and use the screen reader.
+   */
+  const handleGridKeyDown = (event) => {
+    const { key, shiftKey } = event.nativeEvent;
+    const moves = {
+      ArrowLeft: () => addDays(activeDate, -1),
+      ArrowRight: () => addDays(activeDate, 1),
+      ArrowUp: () => addDays(activeDate, -7),
+      ArrowDown: () => addDays(activeDate, 7),
+      PageUp: () => addMonths(activeDate, shiftKey ? -12 : -1),
+      PageDown: () => addMonths(activeDate, shiftKey ? 12 : 1),
+      Home: () => addDays(activeDate, -((dayOfWeek(activeDate) - firstDayOfWeek + 7) % 7)),
+      End: () => addDays(activeDate, 6 - ((dayOfWeek(activeDate) - firstDayOfWeek + 7) % 7)),
+    };
+
+    if (moves[key]) {
+      event.preventDefault();
+      showDate(moves[key]());
+    } else if (key === 'Enter' || key === ' ') {
+      event.preventDefault();
+      selectDate(activeDate);
+    } else if (key === 'Escape') {
+      event.preventDefault();
+      close();
+    }
+  };
+
+  const canGoBack = !minDate || addDays(visibleMonth, -1) >= minDate;
+  const canGoForward = !maxDate || addMonths(visibleMonth, 1) <= maxDate;
+
+  const changeMonth = (months) => {
+    const month = addMonths(visibleMonth, months);
+    setVisibleMonth(month);
+    setActiveDate(clampDate(month, minDate, maxDate));
+  };
+
+  const weekdays = getWeekdayNames(locale, firstDayOfWeek);
+  const weeks = getCalendarWeeks(visibleMonth, firstDayOfWeek);
+  const rangeEnd = range && dates.end;
+
+  const renderDay = (iso) => {
+    const allowed = isDateAllowed(iso, constraints);
+    const selected = iso === dates.start || (range && iso === dates.end);
+    const inRange = rangeEnd && iso > dates.start && iso < dates.end;
+    const outside = iso.slice(0, 7) !== visibleMonth.slice(0, 7);
+
+    return (
+      <TouchableOpacity
+        key={iso}
+        id={dayId(iso)}
+        role="gridcell"
+        aria-label={formatLongDate(iso, locale)}
+        aria-selected={selected}
+        aria-disabled={!allowed}
+        aria-current={iso === todayIso ? 'date' : undefined}
+        focusable={false}
+        disabled={!allowed}
+        onPress={() => selectDate(iso)}
+        style={[
+          styles.day,
+          inRange && styles.dayInRange,
+          iso === todayIso && styles.dayToday,
+          iso === activeDate && styles.dayActive,
+          selected && styles.daySelected,
+          !allowed && styles.dayDisabled,
+        ]}
+      >
+        <Text style={[
+          styles.dayText,
+          outside && styles.dayTextOutside,
+          selected && styles.dayTextSelected,
+          !allowed && styles.dayTextDisabled,
+        ]}>
+          {Number(iso.slice(8))}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const inputLabel = (key) => (range ? `${label} ${key === 'start' ? startLabel : endLabel}` : label);
+  const message = inputKeys.map(key => inputErrors[key]).find(Boolean) || error;
+
+  return (
+    <View style={styles.container}>
+      {label && <Text style={styles.label}>{label}</Text>}
+
+      <View ref={fieldRef} style={styles.field}>
+        {inputKeys.map((key, index) => (
+          <React.Fragment key={key}>
+            {index > 0 && <Text style={styles.rangeSeparator}>–</Text>}
+            <TextInput
+              ref={node => { inputRefs.current[key] = node; }}
+              style={[styles.input, (error || inputErrors[key]) && styles.inputError]}
+              value={texts[key] ?? ''}
+              onChangeText={text => setTexts(prev => ({ ...prev, [key]: text }))}
+              onBlur={() => commitText(key)}
+              onSubmitEditing={() => commitText(key)}
+              placeholder={pattern}
+              keyboardType="numbers-and-punctuation"
+              autoCorrect={false}
+              aria-label={inputLabel(key)}
+              aria-invalid={Boolean(error || inputErrors[key])}
+            />
+          </React.Fragment>
+        ))}
+        <TouchableOpacity
+          ref={toggleRef}
+          style={styles.toggle}
+          onPress={isOpen ? close : open}
+          role="button"
+          aria-label={`Choose ${label ? label.toLowerCase() : 'date'} from calendar`}
+          aria-haspopup="dialog"
+          aria-expanded={isOpen}
+        >
+          <Text style={styles.toggleText}>📅</Text>
+        </TouchableOpacity>
+      </View>
+
+      {message && <Text style={styles.errorText}>{message}</Text>}
+
+      <Popover
+        visible={isOpen}
+        anchorRef={fieldRef}
+        onDismiss={close}
+        preferredHeight={CALENDAR_HEIGHT}
+        style={styles.calendar}
+        role="dialog"
+        aria-label={label}
+      >
+        <View style={styles.calendarHeader}>
+          <TouchableOpacity
+            style={[styles.monthButton, !canGoBack && styles.monthButtonDisabled]}
+            onPress={() => changeMonth(-1)}
+            disabled={!canGoBack}
+            role="button"
+            aria-label="Previous month"
+            aria-disabled={!canGoBack}
+          >
+            <Text style={styles.monthButtonText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.monthTitle} aria-live="polite">
+            {formatMonthTitle(visibleMonth, locale)}
+          </Text>
+          <TouchableOpacity
+            style={[styles.monthButton, !canGoForward && styles.monthButtonDisabled]}
+            onPress={() => changeMonth(1)}
+            disabled={!canGoForward}
+            role="button"
+            aria-label="Next month"
+            aria-disabled={!canGoForward}
+          >
+            <Text style={styles.monthButtonText}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View
+          ref={gridRef}
+          role="grid"
+          aria-label={formatMonthTitle(visibleMonth, locale)}
+          aria-activedescendant={activeDate ? dayId(activeDate) : undefined}
+          focusable={true}
+          onKeyDown={handleGridKeyDown}
+          style={styles.grid}
+        >
+          <View role="row" style={styles.week}>
+            {weekdays.map(weekday => (
+              <Text key={weekday.long} role="columnheader" aria-label={weekday.long} style={styles.weekday}>
+                {weekday.short}
+              </Text>
+            ))}
+          </View>
+          {weeks.map(week => (
+            <View key={week[0]} role="row" style={styles.week}>
+              {week.map(renderDay)}
+            </View>
+          ))}
+        </View>
+
+        {range && (
+          <Text style={styles.calendarHint}>
+            {selectingEnd ? `Now pick the ${endLabel.toLowerCase()} date` : `Pick the ${startLabel.toLowerCase()} date`}
+          </Text>
+        )}
+      </Popover>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  field: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#d32f2f',
+  },
+  rangeSeparator: {
+    marginHorizontal: 8,
+    fontSize: 16,
+    color: '#666',
+  },
+  toggle: {
+    marginLeft: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  toggleText: {
+    fontSize: 18,
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  calendar: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    overflow: 'hidden',
+    // CHALLENGE: Shadow styling differences
+    ...Platform.select({
+      web: {
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+      },
+      default: {
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.15,
+        shadowRadius: 12,
+        elevation: 8,
+      }
+    })
+  },
+  calendarHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  monthTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  monthButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  monthButtonDisabled: {
+    opacity: 0.3,
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
+  monthButtonText: {
+    fontSize: 22,
+    color: '#1976d2',
+  },
+  grid: {
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    })
+  },
+  week: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#999',
+    paddingVertical: 6,
+  },
+  day: {
+    flex: 1,
+    height: 36,
+    margin: 1,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  dayInRange: {
+    backgroundColor: '#e3f2fd',
+  },
+  dayToday: {
+    borderWidth: 1,
+    borderColor: '#1976d2',
+  },
+  dayActive: {
+    backgroundColor: '#f0f0f0',
+  },
+  daySelected: {
+    backgroundColor: '#1976d2',
+  },
+  dayDisabled: {
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
+  dayText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  dayTextOutside: {
+    color: '#aaa',
+  },
+  dayTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  dayTextDisabled: {
+    color: '#ddd',
+    textDecorationLine: 'line-through',
+  },
+  calendarHint: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
+
+export default DatePicker;
@@ -0,0 +1,74 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform, AccessibilityInfo } from 'react-native';
+
+/**
+ * CHALLENGE #24: Announcing Validation Errors
+ *
+ * Shown at the top of a step when moving on fails: how many fields need
+ * fixing, then one link per field (onSelect(name) should scroll to and focus
+ * it). `errors` is [{ name, label, message }].
+ *
+ * Screen readers need to hear about it, but there is no single API for that:
+ * - Native: AccessibilityInfo.announceForAccessibility
+ * - Web: react-native-web implements that as a no-op, so the summary is a
+ *   role="alert" live region instead, read out when it's inserted
+ * Render it with a new `key` per failed attempt so it's announced every time.
+ */
+const ErrorSummary = ({ errors, onSelect }) => {
+  const title = errors.length === 1
+    ? '1 field needs fixing'
+    : `${errors.length} fields need fixing`;
+
+  useEffect(() => {
+    if (Platform.OS !== 'web') {
+      AccessibilityInfo.announceForAccessibility(`${title}. ${errors[0].label}: ${errors[0].message}`);
+    }
+  }, []);
+
+  return (
+    <View style={styles.container} role="alert">
+      <Text style={styles.title}>{title}</Text>
+      {errors.map(({ name, label, message }) => (
+        <TouchableOpacity
+          key={name}
+          style={styles.link}
+          onPress={() => onSelect(name)}
+          role="link"
+          aria-label={`${label}: ${message}`}
+        >
+          <Text style={styles.linkText}>{label}: {message}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#ffebee',
+    borderLeftWidth: 4,
+    borderLeftColor: '#d32f2f',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#d32f2f',
+    marginBottom: 4,
+  },
+  link: {
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#d32f2f',
+    textDecorationLine: 'underline',
+  },
+});
+
+export default ErrorSummary;
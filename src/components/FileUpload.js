@@ -0,0 +1,360 @@
+import React, { useState, useRef, useImperativeHandle } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import AttachmentPreview from './AttachmentPreview';
+import { pickFiles, useFileDrop } from '../utils/filePicker';
+import { fileStorage } from '../data/fileStorage';
+
+/**
+ * File attachments with upload progress - there's no <input type="file">
+ * in React Native, so picking, dropping and uploading are all done here.
+ *
+ * `value` is the array of uploaded files: { id, name, type, size, url, uploadedAt }.
+ * Files go through `validateFile(file)` (returns an error message or null)
+ * before uploading; rejected ones are listed with the reason.
+ *
+ * Picking uses the document picker on native and a file dialog on web,
+ * where files can also be dropped on the field (see utils/filePicker).
+ * Uploads go to `storage` (see data/fileStorage.js); failed ones can be
+ * retried.
+ */
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const canPreview = (attachment) =>
+  attachment.type.startsWith('image/') || attachment.type === 'application/pdf';
+
+let uploadKey = 0;
+
+const FileUpload = ({
+  label,
+  value = [],
+  onChange,
+  error,
+  types = [],
+  maxFiles = Infinity,
+  validateFile,
+  storage = fileStorage,
+  placeholder,
+  ref
+}) => {
+  const [uploads, setUploads] = useState([]);
+  const [rejected, setRejected] = useState([]);
+  const [previewId, setPreviewId] = useState(null);
+
+  const dropZoneRef = useRef(null);
+  const browseRef = useRef(null);
+
+  // Several uploads can finish before the next render; each must add to the latest list
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  useImperativeHandle(ref, () => ({
+    focus: () => browseRef.current?.focus?.(),
+  }), []);
+
+  const updateUpload = (key, changes) => {
+    setUploads(prev => prev.map(upload => (upload.key === key ? { ...upload, ...changes } : upload)));
+  };
+
+  const startUpload = (file, key = ++uploadKey) => {
+    setUploads(prev => [
+      ...prev.filter(upload => upload.key !== key),
+      { key, file, progress: 0, error: null },
+    ]);
+
+    storage.upload(file, { onProgress: progress => updateUpload(key, { progress }) })
+      .then(({ id, url }) => {
+        setUploads(prev => prev.filter(upload => upload.key !== key));
+        const next = [...valueRef.current, {
+          id,
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          url,
+          uploadedAt: new Date().toISOString(),
+        }];
+        valueRef.current = next;
+        onChange(next);
+      })
+      .catch(uploadError => updateUpload(key, { error: uploadError }));
+  };
+
+  const addFiles = (files) => {
+    const room = maxFiles - value.length - uploads.length;
+    const accepted = [];
+    const problems = [];
+
+    files.forEach(file => {
+      const message = validateFile?.(file);
+      if (message) {
+        problems.push({ name: file.name, message });
+      } else if (accepted.length >= room) {
+        problems.push({ name: file.name, message: `Only ${maxFiles} files can be attached` });
+      } else {
+        accepted.push(file);
+      }
+    });
+
+    setRejected(problems);
+    accepted.forEach(file => startUpload(file));
+  };
+
+  const full = value.length + uploads.length >= maxFiles;
+
+  const browse = async () => {
+    addFiles(await pickFiles({ types, multiple: maxFiles - value.length - uploads.length > 1 }));
+  };
+
+  const isDragging = useFileDrop(dropZoneRef, addFiles, { enabled: !full });
+
+  const remove = (id) => {
+    if (previewId === id) setPreviewId(null);
+    onChange(value.filter(attachment => attachment.id !== id));
+  };
+
+  return (
+    <View style={styles.container}>
+      {label && <Text style={styles.label}>{label}</Text>}
+
+      <View
+        ref={dropZoneRef}
+        style={[
+          styles.dropZone,
+          error && styles.dropZoneError,
+          isDragging && styles.dropZoneActive,
+        ]}
+      >
+        <TouchableOpacity
+          ref={browseRef}
+          style={[styles.browseButton, full && styles.browseButtonDisabled]}
+          onPress={browse}
+          disabled={full}
+          role="button"
+          aria-disabled={full}
+        >
+          <Text style={styles.browseButtonText}>Choose files</Text>
+        </TouchableOpacity>
+        <Text style={styles.dropText}>
+          {full
+            ? `You've attached the maximum of ${maxFiles} files`
+            : Platform.OS === 'web' ? 'or drop them here' : placeholder}
+        </Text>
+        {!full && Platform.OS === 'web' && placeholder && (
+          <Text style={styles.hintText}>{placeholder}</Text>
+        )}
+      </View>
+
+      {rejected.map(({ name, message }) => (
+        <Text key={name} style={styles.errorText}>{name}: {message}</Text>
+      ))}
+
+      {value.map(attachment => (
+        <View key={attachment.id} style={styles.file}>
+          <View style={styles.fileRow}>
+            <View style={styles.fileInfo}>
+              <Text style={styles.fileName} numberOfLines={1}>{attachment.name}</Text>
+              <Text style={styles.fileMeta}>{formatFileSize(attachment.size)}</Text>
+            </View>
+            {canPreview(attachment) && (
+              <TouchableOpacity
+                style={styles.fileAction}
+                onPress={() => setPreviewId(previewId === attachment.id ? null : attachment.id)}
+                role="button"
+                aria-label={`${previewId === attachment.id ? 'Hide' : 'Preview'} ${attachment.name}`}
+                aria-expanded={previewId === attachment.id}
+              >
+                <Text style={styles.fileActionText}>
+                  {previewId === attachment.id ? 'Hide' : 'Preview'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.fileAction}
+              onPress={() => remove(attachment.id)}
+              role="button"
+              aria-label={`Remove ${attachment.name}`}
+            >
+              <Text style={[styles.fileActionText, styles.removeText]}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+          {previewId === attachment.id && (
+            <View style={styles.preview}>
+              <AttachmentPreview attachment={attachment} />
+            </View>
+          )}
+        </View>
+      ))}
+
+      {uploads.map(({ key, file, progress, error: uploadError }) => (
+        <View key={key} style={styles.file}>
+          <View style={styles.fileRow}>
+            <View style={styles.fileInfo}>
+              <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+              <Text style={uploadError ? styles.uploadErrorText : styles.fileMeta}>
+                {uploadError ? 'Upload failed' : `Uploading... ${Math.round(progress * 100)}%`}
+              </Text>
+            </View>
+            {uploadError && (
+              <>
+                <TouchableOpacity style={styles.fileAction} onPress={() => startUpload(file, key)} role="button">
+                  <Text style={styles.fileActionText}>Retry</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.fileAction}
+                  onPress={() => setUploads(prev => prev.filter(upload => upload.key !== key))}
+                  role="button"
+                  aria-label={`Cancel ${file.name}`}
+                >
+                  <Text style={[styles.fileActionText, styles.removeText]}>Cancel</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+          {!uploadError && (
+            <View
+              style={styles.progressTrack}
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(progress * 100)}
+              aria-label={`Uploading ${file.name}`}
+            >
+              <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+            </View>
+          )}
+        </View>
+      ))}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  dropZone: {
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    backgroundColor: '#fafafa',
+  },
+  dropZoneError: {
+    borderColor: '#d32f2f',
+  },
+  dropZoneActive: {
+    borderColor: '#1976d2',
+    backgroundColor: '#e3f2fd',
+  },
+  browseButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  browseButtonDisabled: {
+    backgroundColor: '#90caf9',
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
+  browseButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  dropText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  file: {
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  fileInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  fileName: {
+    fontSize: 14,
+    color: '#333',
+  },
+  fileMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  uploadErrorText: {
+    fontSize: 12,
+    color: '#d32f2f',
+    marginTop: 2,
+  },
+  fileAction: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  fileActionText: {
+    fontSize: 13,
+    color: '#1976d2',
+    fontWeight: '600',
+  },
+  removeText: {
+    color: '#d32f2f',
+  },
+  preview: {
+    marginTop: 10,
+  },
+  progressTrack: {
+    height: 4,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 2,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#1976d2',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default FileUpload;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+
+/**
+ * The filters in use, one removable chip each (see getFilterChips in
+ * utils/applicationFilters.js), and "Clear all". Renders nothing when no
+ * filter is set.
+ */
+const FilterChips = ({ chips, onRemove, onClearAll }) => {
+  if (chips.length === 0) return null;
+
+  return (
+    <View style={styles.container} role="group" aria-label="Active filters">
+      {chips.map(chip => (
+        <View key={chip.key} style={styles.chip}>
+          <Text style={styles.chipText}>{chip.label}</Text>
+          <TouchableOpacity
+            role="button"
+            aria-label={`Remove filter ${chip.label}`}
+            onPress={() => onRemove(chip)}
+            hitSlop={8}
+            style={styles.chipRemove}
+          >
+            <Text style={styles.chipRemoveText}>×</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+      <TouchableOpacity role="button" onPress={onClearAll} style={styles.clearButton}>
+        <Text style={styles.clearText}>Clear all</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e3f2fd',
+    borderRadius: 16,
+    paddingLeft: 12,
+    paddingRight: 4,
+    paddingVertical: 4,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#1976d2',
+  },
+  chipRemove: {
+    marginLeft: 4,
+    paddingHorizontal: 6,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  chipRemoveText: {
+    fontSize: 16,
+    color: '#1976d2',
+  },
+  clearButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  clearText: {
+    fontSize: 13,
+    color: '#d32f2f',
+    fontWeight: '600',
+  },
+});
+
+export default FilterChips;
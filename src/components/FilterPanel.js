@@ -0,0 +1,169 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import CustomDropdown from './CustomDropdown';
+import DatePicker from './DatePicker';
+import MaskedInput from './MaskedInput';
+import { currencyMask } from '../utils/masks';
+import { LIST_FILTERS, EMPTY_FILTERS, getRoleOptions } from '../utils/applicationFilters';
+
+/**
+ * The list's filter fields: salary range, created date range and the
+ * industry/country/role/experience multi-selects (see
+ * utils/applicationFilters.js for what they match).
+ *
+ * Only the fields - ApplicationsList puts them in a side panel or a sheet.
+ * Every change goes straight to `onChange`; there's no "Apply".
+ */
+
+const salaryMask = currencyMask('USD');
+
+const FilterPanel = ({ filters, onChange, active = false }) => {
+  const set = (changes) => onChange({ ...filters, ...changes });
+
+  // Picking industries narrows the roles; drop picked roles that left the list
+  const setIndustries = (industryIds) => {
+    const roles = getRoleOptions(industryIds);
+    set({
+      industryIds,
+      roleIds: filters.roleIds.filter(id => roles.some(role => role.id === id)),
+    });
+  };
+
+  const optionsFor = (key, options) => (key === 'roleIds' ? getRoleOptions(filters.industryIds) : options);
+  const salaryInverted = filters.salaryMin > 0 && filters.salaryMax > 0 && filters.salaryMin > filters.salaryMax;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title} role="heading">Filters</Text>
+        {active && (
+          <TouchableOpacity
+            role="button"
+            onPress={() => onChange(EMPTY_FILTERS)}
+            style={styles.clearButton}
+          >
+            <Text style={styles.clearText}>Clear all</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.field}>
+        <Text style={styles.label}>Salary</Text>
+        <View style={styles.salaryRow}>
+          <MaskedInput
+            style={[styles.input, salaryInverted && styles.inputError]}
+            mask={salaryMask}
+            value={filters.salaryMin}
+            onChangeValue={salaryMin => set({ salaryMin })}
+            placeholder="Min"
+            inputMode="numeric"
+            aria-label="Minimum salary"
+          />
+          <Text style={styles.salaryDash}>-</Text>
+          <MaskedInput
+            style={[styles.input, salaryInverted && styles.inputError]}
+            mask={salaryMask}
+            value={filters.salaryMax}
+            onChangeValue={salaryMax => set({ salaryMax })}
+            placeholder="Max"
+            inputMode="numeric"
+            aria-label="Maximum salary"
+          />
+        </View>
+        {salaryInverted && (
+          <Text style={styles.errorText}>The minimum is above the maximum</Text>
+        )}
+      </View>
+
+      <DatePicker
+        label="Created"
+        range
+        value={filters.created}
+        onChange={created => set({ created })}
+        startLabel="from"
+        endLabel="to"
+      />
+
+      {LIST_FILTERS.map(({ key, label, options }) => (
+        <CustomDropdown
+          key={key}
+          label={label}
+          multiple
+          searchable={options.length > 8}
+          options={optionsFor(key, options)}
+          value={filters[key]}
+          onSelect={ids => (key === 'industryIds' ? setIndustries(ids) : set({ [key]: ids }))}
+          placeholder="Any"
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  clearButton: {
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  clearText: {
+    fontSize: 14,
+    color: '#1976d2',
+    fontWeight: '600',
+  },
+  field: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  salaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  salaryDash: {
+    marginHorizontal: 8,
+    color: '#666',
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    })
+  },
+  inputError: {
+    borderColor: '#d32f2f',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default FilterPanel;
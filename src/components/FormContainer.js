@@ -0,0 +1,12 @@
+import React from 'react';
+import { View } from 'react-native';
+
+/**
+ * Wraps a form's fields and buttons. Native has no form element, so this is
+ * just a View and `onSubmit` is never called; the web version
+ * (FormContainer.web.js) is a real <form> that calls it when Enter is
+ * pressed in a field.
+ */
+const FormContainer = ({ onSubmit, ...props }) => <View {...props} />;
+
+export default FormContainer;
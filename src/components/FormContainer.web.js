@@ -0,0 +1,46 @@
+import React, { useEffect, useRef } from 'react';
+import { View } from 'react-native';
+
+/**
+ * Web version of FormContainer: a real <form>. RNW renders one for a View
+ * with role="form", but doesn't pass onSubmit through, so the submit event
+ * is listened to on the DOM node.
+ *
+ * CHALLENGE: Browsers only submit on Enter when the form has a submit button,
+ * and our buttons are TouchableOpacity <div>s - so there's a hidden one.
+ * Being one form is also what autofill and password managers go by to fill
+ * its fields together. `noValidate`: the fields are checked by zod, not the
+ * browser.
+ */
+const FormContainer = ({ onSubmit, children, ...props }) => {
+  const formRef = useRef(null);
+  // The latest handler, so the listener is only added once
+  const onSubmitRef = useRef(onSubmit);
+  onSubmitRef.current = onSubmit;
+
+  useEffect(() => {
+    const form = formRef.current;
+    const handleSubmit = (event) => {
+      event.preventDefault();
+      onSubmitRef.current();
+    };
+
+    form.noValidate = true;
+    form.addEventListener('submit', handleSubmit);
+    return () => form.removeEventListener('submit', handleSubmit);
+  }, []);
+
+  return (
+    <View {...props} ref={formRef} role="form">
+      {children}
+      <button
+        type="submit"
+        tabIndex={-1}
+        aria-hidden
+        style={{ position: 'absolute', width: 1, height: 1, padding: 0, border: 0, opacity: 0, pointerEvents: 'none' }}
+      />
+    </View>
+  );
+};
+
+export default FormContainer;
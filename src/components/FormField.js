@@ -0,0 +1,520 @@
+import React, { useEffect, useRef, useCallback } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { Controller, useFieldArray, useFormState } from 'react-hook-form';
+import CustomDropdown from './CustomDropdown';
+import FileUpload from './FileUpload';
+import DatePicker from './DatePicker';
+import MaskedInput from './MaskedInput';
+import { useApiResource } from '../utils/useApiResource';
+import {
+  getFieldLabel,
+  isSelectWidget,
+  getDefaultValue,
+  getEmptyValue,
+  isEmptyValue,
+} from '../forms/formEngine';
+
+/**
+ * Generic field renderer for form definitions (see src/forms).
+ * Turns one field config into the matching Controller + input, the same
+ * on web and native.
+ */
+
+// Per-widget TextInput props
+const TEXT_WIDGETS = {
+  text: {},
+  // CHALLENGE: keyboardType="email-address" doesn't do anything on web
+  email: { keyboardType: 'email-address', autoCapitalize: 'none' },
+  phone: { keyboardType: 'phone-pad' },
+  // CHALLENGE: multiline TextInput has issues on web with height
+  textarea: { multiline: true, numberOfLines: 3 },
+  // CHALLENGE: Number input on web vs mobile is different
+  number: { keyboardType: 'numeric' },
+  // "YYYY-MM"; numbers-and-punctuation is iOS only (others show the default keyboard)
+  month: { keyboardType: 'numbers-and-punctuation', maxLength: 7, autoCapitalize: 'none' },
+};
+
+/**
+ * CHALLENGE #27: Autofill Names
+ *
+ * RNW's TextInput drops the `name` prop, and without it browser autofill
+ * and password managers don't know what an input is - so it's set on the
+ * <input> itself. Setting it once isn't enough: React removes a name it
+ * wasn't given each time it updates a controlled input (after every
+ * keystroke too), so a MutationObserver on that one attribute puts it back.
+ * The observer goes when the input does. Autofilled text comes in as input
+ * events, the same as typing, so it reaches the form through onChangeText.
+ */
+const useInputName = (name, ref) => {
+  const observer = useRef(null);
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  return useCallback((node) => {
+    ref(node);
+    observer.current?.disconnect();
+    observer.current = null;
+    if (Platform.OS !== 'web' || !node) return;
+
+    const restoreName = () => {
+      if (node.name !== name) node.name = name;
+    };
+    restoreName();
+    observer.current = new MutationObserver(restoreName);
+    observer.current.observe(node, { attributes: true, attributeFilter: ['name'] });
+  }, [name, ref]);
+};
+
+/**
+ * Fields with a `mask` (see utils/masks.js) are formatted as they're typed,
+ * but the form keeps the unformatted value. `autoComplete` tokens
+ * ("given-name", "postal-code"...) tell browsers and the iOS/Android
+ * keyboards what to suggest.
+ */
+const TextFieldInput = ({ field, value, onChange, error, ref }) => {
+  const inputProps = {
+    ref: useInputName(field.name, ref),
+    ...TEXT_WIDGETS[field.widget],
+    style: [
+      styles.input,
+      field.widget === 'textarea' && styles.textArea,
+      error && styles.inputError
+    ],
+    placeholder: field.placeholder,
+    ...(field.autoCapitalize && { autoCapitalize: field.autoCapitalize }),
+    ...(field.autoComplete && { autoComplete: field.autoComplete }),
+  };
+
+  return field.mask ? (
+    <MaskedInput {...inputProps} mask={field.mask} value={value} onChangeValue={onChange} />
+  ) : (
+    <TextInput
+      {...inputProps}
+      value={field.widget === 'number' ? (value ? value.toString() : '') : value}
+      onChangeText={field.widget === 'number'
+        ? (text) => onChange(parseInt(text.replace(/[^0-9]/g, '')) || 0)
+        : onChange}
+    />
+  );
+};
+
+const TextField = ({ field, control, error }) => (
+  <Controller
+    control={control}
+    name={field.name}
+    render={({ field: { onChange, value, ref } }) => (
+      <View style={styles.inputContainer}>
+        <Text style={styles.label}>{getFieldLabel(field)}</Text>
+        <TextFieldInput field={field} value={value} onChange={onChange} error={error} ref={ref} />
+        {error && <Text style={styles.errorText}>{error}</Text>}
+      </View>
+    )}
+  />
+);
+
+/**
+ * CHALLENGE #3: Dependent Dropdown Logic
+ *
+ * Options can depend on parent fields (`dependsOn`). They load once every
+ * parent has a value, and the current value is reset when it's no longer
+ * one of the options (e.g. a draft saved before a city was removed). Never
+ * reset while still loading. Clearing children when a parent changes is
+ * done form-wide by useDependentFields.
+ * Multiselect values are arrays of ids; ids that disappear are dropped.
+ *
+ * Fields with `loadOptions` instead search and page through the API from
+ * inside the dropdown, so there is no full list here to check against.
+ */
+const SelectField = ({ field, control, error, watch, setValue, onOptionChange }) => {
+  const multiple = field.widget === 'multiselect';
+  const parents = field.dependsOn || [];
+  const parentValues = parents.map(name => watch(name));
+  const parentsReady = parentValues.every(value => value);
+
+  const options = useApiResource(() => {
+    if (field.loadOptions) return [];
+    if (Array.isArray(field.options)) return field.options;
+    if (!parentsReady) return [];
+    return field.options(Object.fromEntries(parents.map((name, i) => [name, parentValues[i]])));
+  }, parentValues);
+
+  const available = options.data || [];
+  const value = watch(field.name);
+  const selectedIds = multiple ? (value || []) : [];
+  const selectedOption = multiple ? null : available.find(option => option.id === value) || null;
+
+  useEffect(() => {
+    if (field.loadOptions || options.loading || options.error) return;
+
+    if (multiple) {
+      const kept = selectedIds.filter(id => available.some(option => option.id === id));
+      if (kept.length !== selectedIds.length) setValue(field.name, kept);
+    } else if (value !== 0 && !selectedOption) {
+      setValue(field.name, 0);
+    }
+  }, [options.data, options.loading]);
+
+  useEffect(() => {
+    if (!multiple) onOptionChange?.(field.name, selectedOption);
+  }, [selectedOption]);
+
+  const hint = field.hint?.(multiple
+    ? available.filter(option => selectedIds.includes(option.id))
+    : selectedOption);
+
+  return (
+    <>
+      <Controller
+        control={control}
+        name={field.name}
+        render={({ field: { onChange, value: current, ref } }) => (
+          <CustomDropdown
+            ref={ref}
+            label={getFieldLabel(field)}
+            value={current}
+            options={available}
+            loadOptions={field.loadOptions}
+            onSelect={onChange}
+            error={error || (options.error && `Could not load ${field.label.toLowerCase()} options`)}
+            loading={options.loading}
+            onRetry={options.error ? options.reload : undefined}
+            searchable={field.searchable}
+            multiple={multiple}
+            maxSelections={field.maxSelections}
+            placeholder={parentsReady ? field.placeholder : field.dependentPlaceholder}
+            disabled={!parentsReady || (!field.loadOptions && available.length === 0)}
+          />
+        )}
+      />
+
+      {hint && (
+        <View style={styles.infoBox}>
+          <Text style={styles.infoText}>{hint}</Text>
+        </View>
+      )}
+    </>
+  );
+};
+
+// Picked files are checked against `fileSchema` (zod) before uploading
+const AttachmentsField = ({ field, control, error }) => (
+  <Controller
+    control={control}
+    name={field.name}
+    render={({ field: { onChange, value, ref } }) => (
+      <FileUpload
+        ref={ref}
+        label={getFieldLabel(field)}
+        value={value || []}
+        onChange={onChange}
+        error={error}
+        types={field.accept}
+        maxFiles={field.maxFiles}
+        validateFile={field.fileSchema
+          && ((file) => field.fileSchema.safeParse(file).error?.issues[0].message ?? null)}
+        {...(field.storage && { storage: field.storage })}
+        placeholder={field.placeholder}
+      />
+    )}
+  />
+);
+
+// minDate/maxDate can be functions, so "today" is worked out when the field renders
+const resolveDate = (date) => (typeof date === 'function' ? date() : date);
+
+const DateField = ({ field, control, error }) => (
+  <Controller
+    control={control}
+    name={field.name}
+    render={({ field: { onChange, value, ref } }) => (
+      <DatePicker
+        ref={ref}
+        label={getFieldLabel(field)}
+        value={value}
+        onChange={onChange}
+        error={error}
+        range={field.widget === 'daterange'}
+        minDate={resolveDate(field.minDate)}
+        maxDate={resolveDate(field.maxDate)}
+        isDateDisabled={field.isDateDisabled}
+        {...(field.startLabel && { startLabel: field.startLabel })}
+        {...(field.endLabel && { endLabel: field.endLabel })}
+      />
+    )}
+  />
+);
+
+// CHALLENGE: No checkbox component in React Native - a pressable box with role="checkbox"
+const CheckboxField = ({ field, control, error }) => (
+  <Controller
+    control={control}
+    name={field.name}
+    render={({ field: { onChange, value, ref } }) => (
+      <View style={styles.inputContainer}>
+        <TouchableOpacity
+          ref={ref}
+          style={styles.checkboxRow}
+          onPress={() => onChange(!value)}
+          role="checkbox"
+          aria-checked={Boolean(value)}
+        >
+          <View style={[styles.checkbox, value && styles.checkboxChecked]}>
+            {value && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+          <Text style={styles.checkboxLabel}>{field.label}</Text>
+        </TouchableOpacity>
+        {error && <Text style={styles.errorText}>{error}</Text>}
+      </View>
+    )}
+  />
+);
+
+/**
+ * Repeatable group (work history, education...): the value is an array of
+ * entries, each rendered from the group's own `fields` under names like
+ * "workHistory.0.company". Entries can be added, removed and moved.
+ *
+ * Sub-fields with `showWhen(entry)` are hidden, and cleared, while it's
+ * false (e.g. no end date for a current job).
+ */
+const RepeatableField = ({ field, control, watch, setValue }) => {
+  const { fields: entries, append, remove, move } = useFieldArray({ control, name: field.name });
+  const { errors } = useFormState({ control, name: field.name });
+  const values = watch(field.name) || [];
+
+  const entryErrors = errors[field.name];
+  // Errors about the whole list (e.g. the experience cross-check)
+  const groupError = entryErrors?.root?.message ?? entryErrors?.message;
+
+  useEffect(() => {
+    values.forEach((entry, index) => {
+      field.fields.forEach(sub => {
+        if (sub.showWhen && !sub.showWhen(entry) && !isEmptyValue(entry[sub.name])) {
+          setValue(`${field.name}.${index}.${sub.name}`, getEmptyValue(sub));
+        }
+      });
+    });
+  }, [JSON.stringify(values)]);
+
+  const addEntry = () => {
+    append(Object.fromEntries(field.fields.map(sub => [sub.name, getDefaultValue(sub)])));
+  };
+
+  const canAdd = !field.maxItems || entries.length < field.maxItems;
+
+  return (
+    <View style={styles.inputContainer}>
+      <Text style={styles.label}>{getFieldLabel(field)}</Text>
+
+      {entries.map((entry, index) => {
+        const title = `${field.itemLabel} ${index + 1}`;
+
+        return (
+          <View key={entry.id} style={styles.entry}>
+            <View style={styles.entryHeader}>
+              <Text style={styles.entryTitle}>{title}</Text>
+              <TouchableOpacity
+                style={[styles.entryAction, index === 0 && styles.entryActionDisabled]}
+                onPress={() => move(index, index - 1)}
+                disabled={index === 0}
+                role="button"
+                aria-label={`Move ${title} up`}
+                aria-disabled={index === 0}
+              >
+                <Text style={styles.entryActionText}>↑</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.entryAction, index === entries.length - 1 && styles.entryActionDisabled]}
+                onPress={() => move(index, index + 1)}
+                disabled={index === entries.length - 1}
+                role="button"
+                aria-label={`Move ${title} down`}
+                aria-disabled={index === entries.length - 1}
+              >
+                <Text style={styles.entryActionText}>↓</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.entryAction}
+                onPress={() => remove(index)}
+                role="button"
+                aria-label={`Remove ${title}`}
+              >
+                <Text style={[styles.entryActionText, styles.removeText]}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+
+            {field.fields
+              .filter(sub => !sub.showWhen || sub.showWhen(values[index] || {}))
+              .map(sub => (
+                <FormField
+                  key={sub.name}
+                  field={{ ...sub, name: `${field.name}.${index}.${sub.name}` }}
+                  control={control}
+                  error={entryErrors?.[index]?.[sub.name]?.message}
+                  watch={watch}
+                  setValue={setValue}
+                />
+              ))}
+          </View>
+        );
+      })}
+
+      {canAdd && (
+        <TouchableOpacity style={styles.addButton} onPress={addEntry} role="button">
+          <Text style={styles.addButtonText}>+ {field.addLabel}</Text>
+        </TouchableOpacity>
+      )}
+
+      {field.summary && values.length > 0 && (
+        <View style={styles.infoBox}>
+          <Text style={styles.infoText}>{field.summary(values)}</Text>
+        </View>
+      )}
+
+      {groupError && <Text style={styles.errorText}>{groupError}</Text>}
+    </View>
+  );
+};
+
+const FormField = (props) => {
+  if (isSelectWidget(props.field)) return <SelectField {...props} />;
+  if (props.field.widget === 'attachments') return <AttachmentsField {...props} />;
+  if (props.field.widget === 'repeatable') return <RepeatableField {...props} />;
+  if (props.field.widget === 'checkbox') return <CheckboxField {...props} />;
+  if (props.field.widget === 'date' || props.field.widget === 'daterange') return <DateField {...props} />;
+  return <TextField {...props} />;
+};
+
+const styles = StyleSheet.create({
+  inputContainer: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    // CHALLENGE: Outline on web needs custom handling
+    ...(Platform.OS === 'web' && {
+      outlineStyle: 'none',
+    })
+  },
+  inputError: {
+    borderColor: '#d32f2f',
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  infoBox: {
+    backgroundColor: '#e3f2fd',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  infoText: {
+    color: '#1976d2',
+    fontSize: 14,
+  },
+  checkboxRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#757575',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 8,
+  },
+  checkboxChecked: {
+    borderColor: '#1976d2',
+    backgroundColor: '#1976d2',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  checkboxLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  entry: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  entryTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  entryAction: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  entryActionDisabled: {
+    opacity: 0.3,
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
+  entryActionText: {
+    fontSize: 14,
+    color: '#1976d2',
+    fontWeight: '600',
+  },
+  removeText: {
+    color: '#d32f2f',
+  },
+  addButton: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#1976d2',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 12,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  addButtonText: {
+    color: '#1976d2',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default FormField;
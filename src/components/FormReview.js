@@ -0,0 +1,181 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { useApiResource } from '../utils/useApiResource';
+import {
+  isEmptyValue,
+  isSelectWidget,
+  loadSelectedOptions,
+  getParentValues,
+  getStepFields,
+} from '../forms/formEngine';
+import { formatLongDate } from '../utils/dates';
+
+/**
+ * Read-only summary of every answer in a form definition, one section per
+ * step, shown before submitting. Select values are looked up by name through
+ * the field's own options, so no definition needs review-specific code.
+ *
+ * `errors` ({ fieldName: message }) come from validating the whole form and
+ * are shown next to the answer; "Edit" calls onEdit(stepIndex).
+ */
+
+const EMPTY_ANSWER = 'Not provided';
+
+const formatValue = (field, value) => {
+  if (isEmptyValue(value)) return EMPTY_ANSWER;
+  if (field.mask) return field.mask.format(field.mask.fromValue ? field.mask.fromValue(value) : String(value));
+  if (field.widget === 'number') return value.toLocaleString();
+  if (field.widget === 'attachments') return value.map(file => file.name).join(', ');
+  if (field.widget === 'date') return formatLongDate(value);
+  if (field.widget === 'daterange') return `${formatLongDate(value.start)} – ${formatLongDate(value.end)}`;
+  if (field.widget === 'repeatable') {
+    // One line per entry; without itemSummary, just its filled-in text values
+    return value.map(entry => (field.itemSummary
+      ? field.itemSummary(entry)
+      : Object.values(entry).filter(item => typeof item === 'string' && item).join(', '))).join('\n');
+  }
+  return String(value);
+};
+
+const SelectAnswer = ({ field, values }) => {
+  const value = values[field.name];
+  const selected = useApiResource(
+    () => loadSelectedOptions(field, values),
+    [JSON.stringify(value), JSON.stringify(getParentValues(field, values))]
+  );
+
+  if (isEmptyValue(value)) return <Text style={styles.emptyValue}>{EMPTY_ANSWER}</Text>;
+  if (selected.loading) return <Text style={styles.emptyValue}>Loading...</Text>;
+
+  if (selected.error) {
+    return (
+      <TouchableOpacity onPress={selected.reload} role="button">
+        <Text style={styles.loadError}>Could not load the name. Retry</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return <Text style={styles.value}>{selected.data.map(option => option.name).join(', ')}</Text>;
+};
+
+const Answer = ({ field, values, error }) => (
+  <View style={styles.row}>
+    <Text style={styles.label}>{field.label}</Text>
+    {isSelectWidget(field) ? (
+      <SelectAnswer field={field} values={values} />
+    ) : (
+      <Text style={isEmptyValue(values[field.name]) ? styles.emptyValue : styles.value}>
+        {formatValue(field, values[field.name])}
+      </Text>
+    )}
+    {error && <Text style={styles.errorText}>{error}</Text>}
+  </View>
+);
+
+const FormReview = ({ definition, values, errors = {}, onEdit }) => {
+  const errorCount = Object.keys(errors).length;
+
+  return (
+    <View>
+      {errorCount > 0 && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorBannerText}>
+            {errorCount === 1 ? '1 answer needs' : `${errorCount} answers need`} fixing before you can submit.
+          </Text>
+        </View>
+      )}
+
+      {definition.steps.map((step, index) => (
+        <View key={step.id} style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>{step.title}</Text>
+            <TouchableOpacity
+              style={styles.editButton}
+              onPress={() => onEdit(index)}
+              role="button"
+              aria-label={`Edit ${step.title}`}
+            >
+              <Text style={styles.editText}>Edit</Text>
+            </TouchableOpacity>
+          </View>
+
+          {getStepFields(step, values).map(field => (
+            <Answer key={field.name} field={field} values={values} error={errors[field.name]} />
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  errorBanner: {
+    backgroundColor: '#ffebee',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  errorBannerText: {
+    fontSize: 14,
+    color: '#d32f2f',
+    fontWeight: '600',
+  },
+  section: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingBottom: 12,
+    marginBottom: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  editButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  editText: {
+    fontSize: 14,
+    color: '#1976d2',
+    fontWeight: '600',
+  },
+  row: {
+    paddingVertical: 6,
+  },
+  label: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 2,
+  },
+  value: {
+    fontSize: 15,
+    color: '#333',
+  },
+  emptyValue: {
+    fontSize: 15,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  loadError: {
+    fontSize: 14,
+    color: '#d32f2f',
+    textDecorationLine: 'underline',
+  },
+  errorText: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default FormReview;
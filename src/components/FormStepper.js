@@ -0,0 +1,159 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { useResponsive } from '../utils/useResponsive';
+
+/**
+ * Step navigator shown above a multi-step form.
+ *
+ * steps: [{ title, status }] where status is 'complete' | 'invalid' |
+ * 'untouched' (or null for steps without one, like the review).
+ * `current` and the numbers passed to canOpen/onOpen are 1-based, like
+ * JobApplicationForm's step.
+ *
+ * On phones only the current step's title fits, so the others show just
+ * their number/status badge.
+ */
+
+const STATUS_LABELS = {
+  complete: 'complete',
+  invalid: 'needs attention',
+  untouched: 'not started',
+};
+
+const badgeText = (status, number) => {
+  if (status === 'complete') return '✓';
+  if (status === 'invalid') return '!';
+  return String(number);
+};
+
+const FormStepper = ({ steps, current, canOpen, onOpen }) => {
+  const { isMobile } = useResponsive();
+
+  return (
+    <View style={styles.container}>
+      {steps.map((step, index) => {
+        const number = index + 1;
+        const isCurrent = number === current;
+        const enabled = !isCurrent && canOpen(number);
+
+        return (
+          <React.Fragment key={step.title}>
+            {index > 0 && <View style={[styles.connector, number <= current && styles.connectorDone]} />}
+            <TouchableOpacity
+              style={[styles.item, !enabled && !isCurrent && styles.itemDisabled]}
+              onPress={() => onOpen(number)}
+              disabled={!enabled}
+              role="button"
+              aria-label={`Step ${number}: ${step.title}${step.status ? `, ${STATUS_LABELS[step.status]}` : ''}`}
+              aria-disabled={!enabled}
+              aria-selected={isCurrent}
+            >
+              <View
+                style={[
+                  styles.badge,
+                  step.status && styles[`badge_${step.status}`],
+                  isCurrent && styles.badgeCurrent,
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.badgeText,
+                    (isCurrent || step.status === 'complete' || step.status === 'invalid') && styles.badgeTextFilled,
+                  ]}
+                >
+                  {badgeText(step.status, number)}
+                </Text>
+              </View>
+              {(!isMobile || isCurrent) && (
+                <Text
+                  style={[styles.title, isCurrent && styles.titleCurrent]}
+                  numberOfLines={1}
+                >
+                  {step.title}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </React.Fragment>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexShrink: 1,
+    paddingVertical: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  itemDisabled: {
+    opacity: 0.5,
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
+  badge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: '#bdbdbd',
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badge_complete: {
+    borderColor: '#388e3c',
+    backgroundColor: '#388e3c',
+  },
+  badge_invalid: {
+    borderColor: '#d32f2f',
+    backgroundColor: '#d32f2f',
+  },
+  badge_untouched: {
+    borderColor: '#bdbdbd',
+  },
+  badgeCurrent: {
+    borderColor: '#1976d2',
+    backgroundColor: '#1976d2',
+  },
+  badgeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#757575',
+  },
+  badgeTextFilled: {
+    color: '#fff',
+  },
+  title: {
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#666',
+    flexShrink: 1,
+  },
+  titleCurrent: {
+    color: '#333',
+    fontWeight: '600',
+  },
+  connector: {
+    flexGrow: 1,
+    minWidth: 12,
+    height: 2,
+    marginHorizontal: 8,
+    backgroundColor: '#e0e0e0',
+  },
+  connectorDone: {
+    backgroundColor: '#1976d2',
+  },
+});
+
+export default FormStepper;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { findMatchRange } from '../utils/textSearch';
+
+/**
+ * Renders `text` with the part matching `query` emphasised.
+ * CHALLENGE: No <mark> element - nested <Text> is the only way to style
+ * part of a string on both web and native.
+ */
+const HighlightedText = ({ text, query, style, highlightStyle, ...props }) => {
+  const value = String(text ?? '');
+  const match = query ? findMatchRange(value, query) : null;
+
+  if (!match) {
+    return <Text style={style} {...props}>{value}</Text>;
+  }
+
+  return (
+    <Text style={style} {...props}>
+      {value.slice(0, match.start)}
+      <Text style={[styles.highlight, highlightStyle]}>
+        {value.slice(match.start, match.end)}
+      </Text>
+      {value.slice(match.end)}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  highlight: {
+    fontWeight: 'bold',
+    backgroundColor: '#fff59d',
+  },
+});
+
+export default HighlightedText;
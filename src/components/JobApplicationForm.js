@@ -1,155 +1,183 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Platform, Alert } from 'react-native';
-import { useForm, Controller } from 'react-hook-form';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Platform } from 'react-native';
+import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
-import CustomDropdown from './CustomDropdown';
+import FormField from './FormField';
+import FormReview from './FormReview';
+import FormStepper from './FormStepper';
+import ErrorSummary from './ErrorSummary';
+import FormContainer from './FormContainer';
+import { jobApplicationForm } from '../forms/jobApplicationForm';
 import {
-  countries,
-  citiesByCountry,
-  industries,
-  rolesByIndustry,
-  experienceLevels
-} from '../data/mockData';
-import {
-  personalInfoSchema,
-  locationSchema,
-  professionalInfoSchema
-} from '../utils/validation';
+  getDefaultValues,
+  resolveSchema,
+  isEmptyValue,
+  getStepFields,
+  getErrorMessage,
+  getFirstError
+} from '../forms/formEngine';
+import { createValidationContext } from '../utils/validation';
+import { useDependentFields } from '../utils/useDependentFields';
+import { useFormAutosave } from '../utils/useFormAutosave';
 
 /**
  * CHALLENGE #2: Multi-Step Form with Dependent Dropdowns
  *
  * Issues with React Native Web:
- * 1. No native form submission (no <form> element)
+ * 1. No <form> element - FormContainer.web.js has to make one, and listen
+ *    for its submit event itself
  * 2. TextInput behavior differs web vs mobile
  * 3. Validation error display is manual
  * 4. Tab navigation doesn't work properly on web
- * 5. Autocomplete attributes don't work
- * 6. Browser form features (like password managers) don't work
+ * 5. TextInput drops `name`, which autofill and password managers need, so
+ *    FormField puts it back by hand (CHALLENGE #27)
+ *
+ * Steps and fields come from a form definition (src/forms), rendered
+ * field-by-field by FormField.
+ *
+ * After the last step comes a review step (FormReview) listing every answer,
+ * with "Edit" links back to each step. Submitting from there validates the
+ * definition's complete schema, not just one step.
+ *
+ * The stepper header (FormStepper) shows each step as complete, invalid or
+ * untouched, and opens any earlier step, or a later one once every step
+ * before it validates.
+ *
+ * When "Next" fails, an ErrorSummary lists the step's invalid fields and the
+ * first one is scrolled to and focused (there's no browser doing that for us).
+ *
+ * On web the step and its buttons are a real <form> (FormContainer), so
+ * Enter in a field does what the step's main button does, and the inputs
+ * carry `name` and `autoComplete` for browser autofill (see FormField).
  */
 
-const JobApplicationForm = ({ onSubmit, onSaveDraft, initialData = {} }) => {
+const JobApplicationForm = ({
+  definition = jobApplicationForm,
+  onSubmit,
+  onSaveDraft,
+  initialData = {}
+}) => {
   const [step, setStep] = useState(1);
   const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    phone: '',
-    countryId: 0,
-    cityId: 0,
-    address: '',
-    postalCode: '',
-    industryId: 0,
-    roleId: 0,
-    experienceId: 0,
-    expectedSalary: 0,
+    ...getDefaultValues(definition),
     ...initialData
   });
 
-  const [availableCities, setAvailableCities] = useState([]);
-  const [availableRoles, setAvailableRoles] = useState([]);
-  const [selectedRole, setSelectedRole] = useState(null);
-
-  // Get the appropriate schema for current step
-  const getStepSchema = () => {
-    switch (step) {
-      case 1: return personalInfoSchema;
-      case 2: return locationSchema;
-      case 3: return professionalInfoSchema;
-      default: return personalInfoSchema;
-    }
-  };
+  // Selected option objects for select fields (e.g. the role with its minSalary)
+  const [selectedOptions, setSelectedOptions] = useState({});
+
+  // Set when a step was opened from the review's "Edit" link
+  const [returnToReview, setReturnToReview] = useState(false);
+  // Steps the user has been on and moved away from
+  const [visitedSteps, setVisitedSteps] = useState([]);
 
-  const { control, handleSubmit, formState: { errors }, watch, setValue, trigger } = useForm({
-    resolver: zodResolver(getStepSchema()),
+  // The definition's steps, plus the review step at the end
+  const reviewStep = definition.steps.length + 1;
+  const totalSteps = reviewStep;
+  const isReview = step === reviewStep;
+  const currentStep = isReview
+    ? { title: 'Review Your Application', schema: definition.schema, fields: [] }
+    : definition.steps[step - 1];
+
+  /**
+   * Cross-field rules (salary vs role minimum) validate against the role the
+   * user actually picked from the loaded options, falling back to mockData.
+   */
+  const validationContext = useMemo(() => createValidationContext({
+    findRole: (industryId, roleId) => {
+      const role = selectedOptions.roleId;
+      return role && role.id === roleId
+        ? role
+        : createValidationContext().findRole(industryId, roleId);
+    },
+  }), [selectedOptions.roleId]);
+
+  const stepSchema = useMemo(
+    () => resolveSchema(currentStep.schema, validationContext),
+    [currentStep, validationContext]
+  );
+
+  const {
+    control,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    getValues,
+    setValue,
+    clearErrors,
+    trigger,
+    reset,
+    setFocus,
+    setError,
+    getFieldState
+  } = useForm({
+    resolver: zodResolver(stepSchema),
     mode: 'onChange',
     defaultValues: formData
   });
 
-  // Watch for country changes to update cities
-  const watchCountry = watch('countryId');
-  const watchIndustry = watch('industryId');
-  const watchRole = watch('roleId');
-  const watchSalary = watch('expectedSalary');
+  useDependentFields(definition, { watch, getValues, setValue, clearErrors, trigger });
 
-  /**
-   * CHALLENGE #3: Dependent Dropdown Logic
-   *
-   * This is complex because:
-   * 1. Must manually track dependencies
-   * 2. Need to reset dependent fields when parent changes
-   * 3. Validation must be re-triggered
-   * 4. State management becomes messy
-   */
-  useEffect(() => {
-    if (watchCountry && watchCountry > 0) {
-      const cities = citiesByCountry[watchCountry] || [];
-      setAvailableCities(cities);
-
-      // Reset city if country changed
-      const currentCity = watch('cityId');
-      const cityExists = cities.find(c => c.id === currentCity);
-      if (!cityExists && currentCity !== 0) {
-        setValue('cityId', 0);
-      }
-    } else {
-      setAvailableCities([]);
-      setValue('cityId', 0);
-    }
-  }, [watchCountry]);
+  // One autosave slot per form and record, e.g. "job:new" or "job:12"
+  const autosaveSlot = `${definition.id}:${initialData?.id ?? 'new'}`;
+  const autosave = useFormAutosave(autosaveSlot, { watch, getValues, step });
 
-  useEffect(() => {
-    if (watchIndustry && watchIndustry > 0) {
-      const roles = rolesByIndustry[watchIndustry] || [];
-      setAvailableRoles(roles);
-
-      // Reset role if industry changed
-      const currentRole = watch('roleId');
-      const roleExists = roles.find(r => r.id === currentRole);
-      if (!roleExists && currentRole !== 0) {
-        setValue('roleId', 0);
-        setSelectedRole(null);
-      }
-    } else {
-      setAvailableRoles([]);
-      setValue('roleId', 0);
-      setSelectedRole(null);
-    }
-  }, [watchIndustry]);
+  const handleResume = () => {
+    const snapshot = autosave.resume();
+    const values = { ...formData, ...snapshot.values };
+    setFormData(values);
+    reset(values);
+    setStep(Math.min(Math.max(snapshot.step || 1, 1), totalSteps));
+  };
 
-  useEffect(() => {
-    if (watchRole && watchRole > 0) {
-      const role = availableRoles.find(r => r.id === watchRole);
-      setSelectedRole(role);
-    } else {
-      setSelectedRole(null);
-    }
-  }, [watchRole, availableRoles]);
+  const handleOptionChange = (name, option) => {
+    setSelectedOptions(prev => ({ ...prev, [name]: option }));
+  };
 
-  /**
-   * CHALLENGE #4: Custom Salary Validation
-   * Based on selected role's minimum salary
-   */
-  const salaryError = selectedRole && watchSalary && watchSalary < selectedRole.minSalary
-    ? `Minimum salary for ${selectedRole.name} is $${selectedRole.minSalary.toLocaleString()}`
-    : null;
+  const scrollRef = useRef(null);
+  // y of the form in the ScrollView, of the step card in the form, and of each field inside the card
+  const formOffset = useRef(0);
+  const stepOffset = useRef(0);
+  const fieldOffsets = useRef({});
+
+  // Failed "Next" attempts on this step; each one shows (and announces) the summary again
+  const [failedAttempts, setFailedAttempts] = useState(0);
+
+  // CHALLENGE: focus() doesn't scroll a native ScrollView, so scroll there ourselves
+  // Re-rendering on every change keeps the step statuses and field labels live
+  const values = watch();
+  // The current step's fields, laid out for the values (e.g. the chosen country)
+  const stepFields = getStepFields(currentStep, values);
+
+  const focusField = (name) => {
+    scrollRef.current?.scrollTo({
+      y: Math.max(0, formOffset.current + stepOffset.current + (fieldOffsets.current[name] ?? 0) - 16),
+      animated: true,
+    });
+    // In a repeatable field, focus the entry's input that's actually wrong
+    const repeatable = stepFields.some(field => field.name === name && field.widget === 'repeatable');
+    const path = repeatable ? getFirstError(getFieldState(name).error)?.path ?? [] : [];
+    setFocus(path.length > 0 && !path.includes('root') ? [name, ...path].join('.') : name);
+  };
+
+  // Current step's invalid fields, in the order they appear
+  const stepErrors = stepFields
+    .filter(field => errors[field.name])
+    .map(field => ({ name: field.name, label: field.label, message: getErrorMessage(errors[field.name]) }));
 
   const handleNext = async () => {
     const isValid = await trigger();
 
     if (!isValid) {
-      // CHALLENGE: Alert on web is not ideal UX, but React Native doesn't have toast notifications
-      if (Platform.OS === 'web') {
-        alert('Please fix the errors before continuing');
-      } else {
-        Alert.alert('Validation Error', 'Please fix the errors before continuing');
-      }
+      setFailedAttempts(count => count + 1);
+      const firstInvalid = stepFields.find(field => getFieldState(field.name).error);
+      if (firstInvalid) focusField(firstInvalid.name);
       return;
     }
 
     const currentValues = watch();
     setFormData({ ...formData, ...currentValues });
-    setStep(step + 1);
+    setStep(returnToReview ? reviewStep : step + 1);
   };
 
   const handlePrevious = () => {
@@ -158,325 +186,211 @@ const JobApplicationForm = ({ onSubmit, onSaveDraft, initialData = {} }) => {
     setStep(step - 1);
   };
 
-  const handleSaveDraft = () => {
+  const previousStep = useRef(step);
+  useEffect(() => {
+    const left = previousStep.current;
+    previousStep.current = step;
+    if (left !== step) setVisitedSteps(prev => (prev.includes(left) ? prev : [...prev, left]));
+    if (step === reviewStep) setReturnToReview(false);
+    setFailedAttempts(0);
+  }, [step]);
+
+  const stepsValid = definition.steps.map(formStep =>
+    resolveSchema(formStep.schema, validationContext).safeParse(values).success
+  );
+  const stepStatuses = definition.steps.map((formStep, index) => {
+    const untouched = !visitedSteps.includes(index + 1)
+      && formStep.fields.every(field => isEmptyValue(values[field.name]));
+    if (untouched) return 'untouched';
+    return stepsValid[index] ? 'complete' : 'invalid';
+  });
+
+  // Earlier steps are always open; later ones once everything before them validates
+  const canOpenStep = (target) =>
+    target < step || stepsValid.slice(0, target - 1).every(Boolean);
+
+  const handleOpenStep = (target) => {
+    setFormData({ ...formData, ...getValues() });
+    setStep(target);
+  };
+
+  const handleEdit = (stepIndex) => {
+    setFormData({ ...formData, ...getValues() });
+    setStep(stepIndex + 1);
+    setReturnToReview(true);
+  };
+
+  // Whole-form check shown on the review step; gates the submit button
+  const reviewErrors = {};
+  if (isReview) {
+    const result = stepSchema.safeParse(getValues());
+    (result.success ? [] : result.error.issues).forEach(issue => {
+      const name = issue.path[0];
+      if (name !== undefined && !reviewErrors[name]) reviewErrors[name] = issue.message;
+    });
+  }
+  const canSubmit = Object.keys(reviewErrors).length === 0;
+  // Fields the server rejected (see handleFinalSubmit) show too, without blocking another try
+  if (isReview) {
+    Object.keys(errors).forEach(name => {
+      if (!reviewErrors[name]) reviewErrors[name] = getErrorMessage(errors[name]);
+    });
+  }
+
+  // Enter in a field (web): the same as pressing "Next" or "Submit Application"
+  const handleFormSubmit = () => {
+    if (!isReview) handleNext();
+    else if (canSubmit) handleSubmit(handleFinalSubmit)();
+  };
+
+  // The autosave slot is only cleared once the parent has really saved; when
+  // saving fails the parent has already said why, and the form stays as it is
+  const handleSaveDraft = async () => {
+    const slot = autosaveSlot;
     const currentValues = watch();
     const draftData = { ...formData, ...currentValues };
-    onSaveDraft(draftData);
+    try {
+      await onSaveDraft(draftData);
+    } catch (error) {
+      return;
+    }
+    await autosave.clear(slot);
   };
 
   const handleFinalSubmit = async (data) => {
-    if (salaryError) {
-      if (Platform.OS === 'web') {
-        alert(salaryError);
-      } else {
-        Alert.alert('Validation Error', salaryError);
-      }
+    const slot = autosaveSlot;
+    const finalData = { ...formData, ...data };
+    try {
+      await onSubmit(finalData);
+    } catch (error) {
+      // A 422 names the fields the server's schema rejected
+      (error?.issues ?? []).forEach(({ path, message }) => {
+        if (path?.length > 0) setError(path.join('.'), { type: 'server', message });
+      });
       return;
     }
-
-    const finalData = { ...formData, ...data };
-    onSubmit(finalData);
+    await autosave.clear(slot);
   };
 
   return (
-    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+    <ScrollView ref={scrollRef} style={styles.container} contentContainerStyle={styles.contentContainer}>
       <View style={styles.header}>
-        <Text style={styles.title}>Job Application Form</Text>
-        <Text style={styles.stepIndicator}>Step {step} of 3</Text>
+        <Text style={styles.title}>{definition.title}</Text>
+        <Text style={styles.stepIndicator}>Step {step} of {totalSteps}</Text>
+        {autosave.lastSavedAt && (
+          <Text style={styles.autosaveText}>
+            Autosaved at {new Date(autosave.lastSavedAt).toLocaleTimeString()}
+          </Text>
+        )}
       </View>
 
+      <FormStepper
+        steps={[
+          ...definition.steps.map((formStep, index) => ({ title: formStep.title, status: stepStatuses[index] })),
+          { title: 'Review', status: null },
+        ]}
+        current={step}
+        canOpen={canOpenStep}
+        onOpen={handleOpenStep}
+      />
+
+      {autosave.pending && (
+        <View style={styles.resumeBanner}>
+          <Text style={styles.resumeTitle}>Resume where you left off?</Text>
+          <Text style={styles.resumeText}>
+            You have unsaved changes from {new Date(autosave.pending.savedAt).toLocaleString()}
+            {' '}(step {autosave.pending.step} of {totalSteps}).
+          </Text>
+          <View style={styles.resumeActions}>
+            <TouchableOpacity style={styles.resumeDiscardButton} onPress={autosave.discard}>
+              <Text style={styles.resumeDiscardText}>Discard</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.resumeButton} onPress={handleResume}>
+              <Text style={styles.resumeButtonText}>Resume</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
       {/* Progress bar */}
       <View style={styles.progressBar}>
-        <View style={[styles.progressFill, { width: `${(step / 3) * 100}%` }]} />
+        <View style={[styles.progressFill, { width: `${(step / totalSteps) * 100}%` }]} />
       </View>
 
-      {/* Step 1: Personal Information */}
-      {step === 1 && (
-        <View style={styles.stepContainer}>
-          <Text style={styles.stepTitle}>Personal Information</Text>
-
-          <Controller
-            control={control}
-            name="firstName"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>First Name *</Text>
-                {/* CHALLENGE: TextInput on web doesn't support autocomplete properly */}
-                <TextInput
-                  style={[styles.input, errors.firstName && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="Enter first name"
-                  autoCapitalize="words"
-                />
-                {errors.firstName && (
-                  <Text style={styles.errorText}>{errors.firstName.message}</Text>
-                )}
-              </View>
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="lastName"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Last Name *</Text>
-                <TextInput
-                  style={[styles.input, errors.lastName && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="Enter last name"
-                  autoCapitalize="words"
-                />
-                {errors.lastName && (
-                  <Text style={styles.errorText}>{errors.lastName.message}</Text>
-                )}
-              </View>
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="email"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Email *</Text>
-                {/* CHALLENGE: keyboardType="email-address" doesn't do anything on web */}
-                <TextInput
-                  style={[styles.input, errors.email && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="your.email@example.com"
-                  keyboardType="email-address"
-                  autoCapitalize="none"
-                />
-                {errors.email && (
-                  <Text style={styles.errorText}>{errors.email.message}</Text>
-                )}
-              </View>
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="phone"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Phone Number *</Text>
-                <TextInput
-                  style={[styles.input, errors.phone && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="+1 (555) 123-4567"
-                  keyboardType="phone-pad"
-                />
-                {errors.phone && (
-                  <Text style={styles.errorText}>{errors.phone.message}</Text>
-                )}
-              </View>
-            )}
-          />
-        </View>
-      )}
-
-      {/* Step 2: Location */}
-      {step === 2 && (
-        <View style={styles.stepContainer}>
-          <Text style={styles.stepTitle}>Location Details</Text>
-
-          <Controller
-            control={control}
-            name="countryId"
-            render={({ field: { onChange, value } }) => (
-              <CustomDropdown
-                label="Country *"
-                value={value}
-                options={countries}
-                onSelect={onChange}
-                error={errors.countryId?.message}
-                placeholder="Select country"
-              />
-            )}
-          />
-
-          {/* CHALLENGE: Dependent dropdown - cities only available after country selected */}
-          <Controller
-            control={control}
-            name="cityId"
-            render={({ field: { onChange, value } }) => (
-              <CustomDropdown
-                label="City *"
-                value={value}
-                options={availableCities}
-                onSelect={onChange}
-                error={errors.cityId?.message}
-                placeholder={watchCountry ? "Select city" : "Select country first"}
-                disabled={!watchCountry || availableCities.length === 0}
-              />
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="address"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Street Address *</Text>
-                {/* CHALLENGE: multiline TextInput has issues on web with height */}
-                <TextInput
-                  style={[styles.input, styles.textArea, errors.address && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="Enter street address"
-                  multiline
-                  numberOfLines={3}
-                />
-                {errors.address && (
-                  <Text style={styles.errorText}>{errors.address.message}</Text>
-                )}
-              </View>
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="postalCode"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Postal Code *</Text>
-                <TextInput
-                  style={[styles.input, errors.postalCode && styles.inputError]}
-                  value={value}
-                  onChangeText={onChange}
-                  placeholder="12345"
-                />
-                {errors.postalCode && (
-                  <Text style={styles.errorText}>{errors.postalCode.message}</Text>
-                )}
-              </View>
-            )}
-          />
-        </View>
-      )}
+      <FormContainer
+        aria-label={definition.title}
+        onSubmit={handleFormSubmit}
+        onLayout={(e) => { formOffset.current = e.nativeEvent.layout.y; }}
+      >
+        <View
+          style={styles.stepContainer}
+          onLayout={(e) => { stepOffset.current = e.nativeEvent.layout.y; }}
+        >
+          <Text style={styles.stepTitle}>{currentStep.title}</Text>
 
-      {/* Step 3: Professional Information */}
-      {step === 3 && (
-        <View style={styles.stepContainer}>
-          <Text style={styles.stepTitle}>Professional Information</Text>
-
-          <Controller
-            control={control}
-            name="industryId"
-            render={({ field: { onChange, value } }) => (
-              <CustomDropdown
-                label="Industry *"
-                value={value}
-                options={industries}
-                onSelect={onChange}
-                error={errors.industryId?.message}
-                placeholder="Select industry"
-              />
-            )}
-          />
-
-          {/* CHALLENGE: Another dependent dropdown - roles depend on industry */}
-          <Controller
-            control={control}
-            name="roleId"
-            render={({ field: { onChange, value } }) => (
-              <CustomDropdown
-                label="Job Role *"
-                value={value}
-                options={availableRoles}
-                onSelect={onChange}
-                error={errors.roleId?.message}
-                placeholder={watchIndustry ? "Select role" : "Select industry first"}
-                disabled={!watchIndustry || availableRoles.length === 0}
-              />
-            )}
-          />
+          {failedAttempts > 0 && stepErrors.length > 0 && (
+            <ErrorSummary key={failedAttempts} errors={stepErrors} onSelect={focusField} />
+          )}
 
-          {selectedRole && (
-            <View style={styles.infoBox}>
-              <Text style={styles.infoText}>
-                Minimum salary for {selectedRole.name}: ${selectedRole.minSalary.toLocaleString()}
-              </Text>
-            </View>
+          {isReview && (
+            <FormReview
+              definition={definition}
+              values={getValues()}
+              errors={reviewErrors}
+              onEdit={handleEdit}
+            />
           )}
 
-          <Controller
-            control={control}
-            name="experienceId"
-            render={({ field: { onChange, value } }) => (
-              <CustomDropdown
-                label="Experience Level *"
-                value={value}
-                options={experienceLevels}
-                onSelect={onChange}
-                error={errors.experienceId?.message}
-                placeholder="Select experience level"
+          {stepFields.map(field => (
+            <View
+              key={field.name}
+              onLayout={(e) => { fieldOffsets.current[field.name] = e.nativeEvent.layout.y; }}
+            >
+              <FormField
+                field={field}
+                control={control}
+                error={getErrorMessage(errors[field.name])}
+                watch={watch}
+                setValue={setValue}
+                onOptionChange={handleOptionChange}
               />
-            )}
-          />
-
-          <Controller
-            control={control}
-            name="expectedSalary"
-            render={({ field: { onChange, value } }) => (
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Expected Salary (USD) *</Text>
-                {/* CHALLENGE: Number input on web vs mobile is different */}
-                <TextInput
-                  style={[styles.input, (errors.expectedSalary || salaryError) && styles.inputError]}
-                  value={value ? value.toString() : ''}
-                  onChangeText={(text) => {
-                    const number = parseInt(text.replace(/[^0-9]/g, '')) || 0;
-                    onChange(number);
-                  }}
-                  placeholder="80000"
-                  keyboardType="numeric"
-                />
-                {errors.expectedSalary && (
-                  <Text style={styles.errorText}>{errors.expectedSalary.message}</Text>
-                )}
-                {salaryError && (
-                  <Text style={styles.errorText}>{salaryError}</Text>
-                )}
-              </View>
-            )}
-          />
+            </View>
+          ))}
         </View>
-      )}
 
-      {/* Navigation Buttons */}
-      <View style={styles.buttonContainer}>
-        {step > 1 && (
-          <TouchableOpacity style={styles.secondaryButton} onPress={handlePrevious}>
-            <Text style={styles.secondaryButtonText}>Previous</Text>
-          </TouchableOpacity>
-        )}
-
-        <TouchableOpacity
-          style={[styles.draftButton, step === 1 && styles.draftButtonFull]}
-          onPress={handleSaveDraft}
-        >
-          <Text style={styles.draftButtonText}>Save as Draft</Text>
-        </TouchableOpacity>
+        {/* Navigation Buttons */}
+        <View style={styles.buttonContainer}>
+          {step > 1 && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={handlePrevious}>
+              <Text style={styles.secondaryButtonText}>Previous</Text>
+            </TouchableOpacity>
+          )}
 
-        {step < 3 ? (
-          <TouchableOpacity style={styles.primaryButton} onPress={handleNext}>
-            <Text style={styles.primaryButtonText}>Next</Text>
-          </TouchableOpacity>
-        ) : (
           <TouchableOpacity
-            style={styles.primaryButton}
-            onPress={handleSubmit(handleFinalSubmit)}
+            style={[styles.draftButton, step === 1 && styles.draftButtonFull]}
+            onPress={handleSaveDraft}
           >
-            <Text style={styles.primaryButtonText}>Submit Application</Text>
+            <Text style={styles.draftButtonText}>Save as Draft</Text>
           </TouchableOpacity>
-        )}
-      </View>
+
+          {step < totalSteps ? (
+            <TouchableOpacity style={styles.primaryButton} onPress={handleNext}>
+              <Text style={styles.primaryButtonText}>
+                {returnToReview ? 'Back to Review' : step === reviewStep - 1 ? 'Review' : 'Next'}
+              </Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.primaryButton, !canSubmit && styles.primaryButtonDisabled]}
+              onPress={handleSubmit(handleFinalSubmit)}
+              disabled={!canSubmit}
+              aria-disabled={!canSubmit}
+            >
+              <Text style={styles.primaryButtonText}>Submit Application</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </FormContainer>
     </ScrollView>
   );
 };
@@ -505,6 +419,64 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  autosaveText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  resumeBanner: {
+    backgroundColor: '#fff8e1',
+    borderWidth: 1,
+    borderColor: '#ffe082',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 20,
+  },
+  resumeTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  resumeText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  resumeActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 12,
+  },
+  resumeDiscardButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  resumeDiscardText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '600',
+  },
+  resumeButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  resumeButtonText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '600',
+  },
   progressBar: {
     height: 8,
     backgroundColor: '#e0e0e0',
@@ -545,49 +517,6 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 20,
   },
-  inputContainer: {
-    marginBottom: 16,
-  },
-  label: {
-    fontSize: 14,
-    fontWeight: '600',
-    marginBottom: 8,
-    color: '#333',
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ccc',
-    borderRadius: 8,
-    padding: 12,
-    fontSize: 16,
-    backgroundColor: '#fff',
-    // CHALLENGE: Outline on web needs custom handling
-    ...(Platform.OS === 'web' && {
-      outlineStyle: 'none',
-    })
-  },
-  inputError: {
-    borderColor: '#d32f2f',
-  },
-  textArea: {
-    height: 80,
-    textAlignVertical: 'top',
-  },
-  errorText: {
-    color: '#d32f2f',
-    fontSize: 12,
-    marginTop: 4,
-  },
-  infoBox: {
-    backgroundColor: '#e3f2fd',
-    padding: 12,
-    borderRadius: 8,
-    marginBottom: 16,
-  },
-  infoText: {
-    color: '#1976d2',
-    fontSize: 14,
-  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -604,6 +533,12 @@ const styles = StyleSheet.create({
       cursor: 'pointer',
     })
   },
+  primaryButtonDisabled: {
+    backgroundColor: '#90caf9',
+    ...(Platform.OS === 'web' && {
+      cursor: 'not-allowed',
+    })
+  },
   primaryButtonText: {
     color: '#fff',
     fontSize: 16,
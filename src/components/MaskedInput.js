@@ -0,0 +1,51 @@
+import React, { useState, useRef, useCallback } from 'react';
+import { TextInput } from 'react-native';
+import { applyEdit, cleanText } from '../utils/masks';
+
+/**
+ * TextInput that formats as you type ("(212) 555-0123", "$80,000") while
+ * handing the form the unformatted value (see utils/masks.js for masks).
+ *
+ * CHALLENGE: Re-formatting the text moves the caret to the end on web, and
+ * React Native doesn't say where the caret was when the text changed
+ * (onSelectionChange fires before onChangeText on some platforms and after
+ * it on others). So the new caret is worked out from the edit itself and set
+ * through the controlled `selection` prop - a new object per edit, so it's
+ * applied once and the user can still move the caret freely afterwards.
+ * Only while the input is focused, though: autofill fills several inputs at
+ * once, and moving the caret in one the user isn't in can pull focus to it.
+ *
+ * Any other TextInput props are passed through.
+ */
+const MaskedInput = ({ mask, value, onChangeValue, ref, ...props }) => {
+  const raw = mask.fromValue ? mask.fromValue(value) : cleanText(mask, value ?? '');
+  const display = mask.format(raw);
+
+  const [selection, setSelection] = useState(undefined);
+  const inputRef = useRef(null);
+
+  // Stable, or React would detach and re-attach the ref on every keystroke
+  const setRef = useCallback((node) => {
+    inputRef.current = node;
+    if (typeof ref === 'function') ref(node);
+    else if (ref) ref.current = node;
+  }, [ref]);
+
+  const handleChangeText = (text) => {
+    const edit = applyEdit(mask, display, text);
+    if (inputRef.current?.isFocused?.()) setSelection({ start: edit.caret, end: edit.caret });
+    onChangeValue(mask.toValue ? mask.toValue(edit.raw) : edit.raw);
+  };
+
+  return (
+    <TextInput
+      ref={setRef}
+      {...props}
+      value={display}
+      onChangeText={handleChangeText}
+      selection={selection}
+    />
+  );
+};
+
+export default MaskedInput;
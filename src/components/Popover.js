@@ -0,0 +1,62 @@
+import React from 'react';
+import { View, Modal, TouchableOpacity, StyleSheet } from 'react-native';
+import { useAnchorPosition } from '../utils/useAnchorPosition';
+
+/**
+ * Popover anchored to another element (see Popover.web.js for web).
+ *
+ * Native has no portals, so the popover lives in a transparent Modal and
+ * an invisible backdrop catches taps outside of it.
+ */
+const Popover = ({
+  visible,
+  anchorRef,
+  onDismiss,
+  preferredHeight,
+  updateKey,
+  style,
+  children,
+  ...props
+}) => {
+  const position = useAnchorPosition(anchorRef, { active: visible, preferredHeight, updateKey });
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onDismiss}
+    >
+      <TouchableOpacity
+        style={styles.backdrop}
+        activeOpacity={1}
+        onPress={onDismiss}
+        focusable={false}
+      >
+        {/* Stop taps inside the popover from reaching the backdrop */}
+        <View
+          {...props}
+          style={[style, styles.popover, position ? position.style : styles.unmeasured]}
+          onStartShouldSetResponder={() => true}
+        >
+          {children}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+  },
+  popover: {
+    position: 'absolute',
+  },
+  // Rendered (so it can take focus) but hidden until the anchor is measured
+  unmeasured: {
+    opacity: 0,
+  },
+});
+
+export default Popover;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { View, StyleSheet } from 'react-native';
+import { useAnchorPosition } from '../utils/useAnchorPosition';
+
+/**
+ * Popover anchored to another element - web version (see Popover.js).
+ *
+ * CHALLENGE: Modal on web is a full-screen layer that blocks the page, and
+ * react-native-web gives every View its own stacking context (zIndex: 0), so
+ * a plain absolutely positioned View gets covered by the fields after it.
+ * Instead we portal into document.body, position with `fixed`, and close on
+ * pointer down anywhere outside the popover and its anchor.
+ *
+ * Inside a Modal (like the filter sheet) the portal goes into the modal
+ * instead: the Modal sits above everything else and pulls focus back into
+ * itself, which would leave a popover in document.body unusable.
+ */
+const Popover = ({
+  visible,
+  anchorRef,
+  onDismiss,
+  preferredHeight,
+  updateKey,
+  style,
+  children,
+  ...props
+}) => {
+  const popoverRef = useRef(null);
+  const position = useAnchorPosition(anchorRef, { active: visible, preferredHeight, updateKey });
+
+  useEffect(() => {
+    if (!visible) return;
+
+    const handlePointerDown = (event) => {
+      const inside = [popoverRef.current, anchorRef.current]
+        .some(node => node?.contains?.(event.target));
+      if (!inside) onDismiss();
+    };
+
+    document.addEventListener('pointerdown', handlePointerDown, true);
+    return () => document.removeEventListener('pointerdown', handlePointerDown, true);
+  }, [visible, anchorRef, onDismiss]);
+
+  if (!visible) return null;
+
+  return createPortal(
+    <View
+      {...props}
+      ref={popoverRef}
+      style={[style, styles.popover, position ? position.style : styles.unmeasured]}
+    >
+      {children}
+    </View>,
+    anchorRef.current?.closest?.('[aria-modal="true"]') || document.body
+  );
+};
+
+const styles = StyleSheet.create({
+  popover: {
+    position: 'fixed',
+    zIndex: 1000,
+  },
+  // Rendered (so it can take focus) but hidden until the anchor is measured
+  unmeasured: {
+    opacity: 0,
+  },
+});
+
+export default Popover;
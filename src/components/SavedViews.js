@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { savedViewStore } from '../data/savedViews';
+import { parseListState, serializeListState, isSameView } from '../utils/listState';
+import { useSavedViews } from '../utils/useSavedViews';
+import { confirmAction, showError } from '../utils/dialogs';
+
+/**
+ * Saved views of the applications list ("My drafts", "Senior tech"):
+ * pressing one shows it, and the current status/search/filters/sort can be
+ * saved under a new name. Views can be renamed and deleted in place.
+ *
+ * `state` is the list's state (see utils/listState.js); `onApply` gets the
+ * state of the view that was picked.
+ */
+const SavedViews = ({ state, onApply, store = savedViewStore }) => {
+  const views = useSavedViews(store);
+  // 'new' while naming a new view, a view's id while renaming it
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+
+  const startEditing = (id, initialName) => {
+    setEditing(id);
+    setName(initialName);
+  };
+
+  const stopEditing = () => {
+    setEditing(null);
+    setName('');
+  };
+
+  // On a failed save the name stays in the input, to try again
+  const commit = async () => {
+    if (!name.trim()) return;
+    try {
+      if (editing === 'new') {
+        await store.create(name, serializeListState({ ...state, page: 1 }));
+      } else {
+        await store.rename(editing, name);
+      }
+    } catch (error) {
+      showError(editing === 'new' ? 'Could not save the view' : 'Could not rename the view', error);
+      return;
+    }
+    stopEditing();
+  };
+
+  const handleRemove = (view) => {
+    confirmAction(
+      'Delete View',
+      `Delete the saved view "${view.name}"?`,
+      'Delete',
+      async () => {
+        try {
+          await store.remove(view.id);
+        } catch (error) {
+          showError('Could not delete the view', error);
+        }
+      }
+    );
+  };
+
+  // Escape cancels (web only - onKeyPress is a no-op for it on native)
+  const handleKeyPress = (event) => {
+    if (event.nativeEvent.key === 'Escape') stopEditing();
+  };
+
+  const renderNameInput = (label) => (
+    <View style={styles.editRow}>
+      <TextInput
+        style={styles.nameInput}
+        value={name}
+        onChangeText={setName}
+        onSubmitEditing={commit}
+        onKeyPress={handleKeyPress}
+        placeholder="View name"
+        placeholderTextColor="#999"
+        autoFocus
+        aria-label={label}
+      />
+      <TouchableOpacity
+        role="button"
+        style={[styles.smallButton, !name.trim() && styles.smallButtonDisabled]}
+        onPress={commit}
+        disabled={!name.trim()}
+      >
+        <Text style={styles.smallButtonText}>Save</Text>
+      </TouchableOpacity>
+      <TouchableOpacity role="button" style={styles.textButton} onPress={stopEditing}>
+        <Text style={styles.textButtonText}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Saved views:</Text>
+      <View style={styles.views}>
+        {views.map(view => {
+          if (editing === view.id) {
+            return <View key={view.id}>{renderNameInput(`Rename ${view.name}`)}</View>;
+          }
+
+          const current = isSameView(parseListState(view.query), state);
+          return (
+            <View key={view.id} style={[styles.view, current && styles.viewCurrent]}>
+              <TouchableOpacity
+                role="button"
+                aria-pressed={current}
+                onPress={() => onApply(parseListState(view.query))}
+                style={styles.viewName}
+              >
+                <Text style={[styles.viewText, current && styles.viewTextCurrent]}>{view.name}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                role="button"
+                aria-label={`Rename view ${view.name}`}
+                onPress={() => startEditing(view.id, view.name)}
+                hitSlop={6}
+                style={styles.viewAction}
+              >
+                <Text style={[styles.viewActionText, current && styles.viewTextCurrent]}>✎</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                role="button"
+                aria-label={`Delete view ${view.name}`}
+                onPress={() => handleRemove(view)}
+                hitSlop={6}
+                style={styles.viewAction}
+              >
+                <Text style={[styles.viewActionText, current && styles.viewTextCurrent]}>×</Text>
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+
+        {editing === 'new' ? renderNameInput('Name for the new view') : (
+          <TouchableOpacity
+            role="button"
+            style={styles.textButton}
+            onPress={() => startEditing('new', '')}
+          >
+            <Text style={styles.textButtonText}>+ Save current view</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  views: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  view: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    backgroundColor: '#f5f5f5',
+    paddingRight: 6,
+  },
+  viewCurrent: {
+    backgroundColor: '#1976d2',
+    borderColor: '#1976d2',
+  },
+  viewName: {
+    paddingLeft: 12,
+    paddingRight: 4,
+    paddingVertical: 6,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  viewText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  viewTextCurrent: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  viewAction: {
+    paddingHorizontal: 4,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  viewActionText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  editRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  nameInput: {
+    width: 160,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    backgroundColor: '#fff',
+  },
+  smallButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  smallButtonDisabled: {
+    backgroundColor: '#90caf9',
+  },
+  smallButtonText: {
+    fontSize: 12,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  textButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    ...(Platform.OS === 'web' && {
+      cursor: 'pointer',
+    })
+  },
+  textButtonText: {
+    fontSize: 14,
+    color: '#1976d2',
+    fontWeight: '600',
+  },
+});
+
+export default SavedViews;
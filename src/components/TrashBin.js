@@ -0,0 +1,161 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Platform,
+} from 'react-native';
+import { useApplications } from '../utils/useApplications';
+
+/**
+ * Trash Bin
+ *
+ * Lists soft-deleted applications. Each one can be restored back to the
+ * list or deleted forever. Confirmation for permanent deletes is handled
+ * by the parent (see App.js) since Alert vs confirm() differs per platform.
+ */
+
+const TrashBin = ({ repository, onRestore, onPurge, onEmptyTrash }) => {
+  const { applications, loading, error } = useApplications(repository, { trash: true });
+
+  const renderItem = ({ item }) => (
+    <View style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.name} numberOfLines={1}>
+          {item.firstName} {item.lastName}
+        </Text>
+        <Text style={styles.meta} numberOfLines={1}>
+          {item.email} · Deleted {new Date(item.deletedAt).toLocaleString()}
+        </Text>
+      </View>
+
+      <View style={styles.rowActions}>
+        <TouchableOpacity style={styles.actionButton} onPress={() => onRestore(item.id)}>
+          <Text style={styles.actionButtonText}>Restore</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.purgeButton]}
+          onPress={() => onPurge(item.id)}
+        >
+          <Text style={styles.actionButtonText}>Delete Forever</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>Trash</Text>
+          <Text style={styles.subtitle}>
+            {applications.length} deleted applications
+          </Text>
+        </View>
+
+        {applications.length > 0 && (
+          <TouchableOpacity style={styles.emptyTrashButton} onPress={onEmptyTrash}>
+            <Text style={styles.actionButtonText}>Empty Trash</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={applications}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>
+              {error ? 'Could not load trash' : loading ? 'Loading trash...' : 'Trash is empty'}
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  rowActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  actionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 4,
+    backgroundColor: '#1976d2',
+    ...(Platform.OS === 'web' && { cursor: 'pointer' })
+  },
+  purgeButton: {
+    backgroundColor: '#d32f2f',
+  },
+  emptyTrashButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#d32f2f',
+    ...(Platform.OS === 'web' && { cursor: 'pointer' })
+  },
+  actionButtonText: {
+    fontSize: 12,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+  },
+});
+
+export default TrashBin;
@@ -0,0 +1,128 @@
+import { Platform } from 'react-native';
+import { createMockBackend } from './mockBackend';
+
+/**
+ * API Client
+ *
+ * Talks to the mock REST server (server/index.mjs) when EXPO_PUBLIC_API_URL
+ * is set, otherwise calls the same handlers in-process so the app still
+ * works with just `npm run web`.
+ *
+ * Latency and failure injection happen here, on the client, so loading
+ * and error states can be exercised without the server too:
+ *
+ *   EXPO_PUBLIC_API_LATENCY_MS=800 EXPO_PUBLIC_API_FAILURE_RATE=0.2 npm run web
+ */
+
+// `issues` are the rejected fields of a 422: [{ path, message }]
+export class ApiError extends Error {
+  constructor(message, status, issues = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.issues = issues;
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toQueryString = (query = {}) => {
+  const params = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+  return params.length ? `?${params.join('&')}` : '';
+};
+
+// In-process requests get the same string query values a real server would
+const stringifyQuery = (query = {}) => Object.fromEntries(
+  Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, String(value)])
+);
+
+export const createApiClient = ({
+  baseUrl = null,
+  latency = 0,
+  failureRate = 0,
+  backend = createMockBackend(),
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  const request = async (method, path, { query, body } = {}) => {
+    if (latency > 0) {
+      await delay(latency);
+    }
+
+    if (failureRate > 0 && Math.random() < failureRate) {
+      throw new ApiError(`Simulated failure: ${method} ${path}`, 0);
+    }
+
+    if (!baseUrl) {
+      // Round-trip through JSON so callers never share objects with the backend
+      const response = backend.handle({
+        method,
+        path,
+        query: stringifyQuery(query),
+        body: body === undefined ? undefined : JSON.parse(JSON.stringify(body)),
+      });
+      if (response.status >= 400) {
+        throw new ApiError(response.body?.error || 'Request failed', response.status, response.body?.issues);
+      }
+      return JSON.parse(JSON.stringify(response.body));
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}${toQueryString(query)}`, {
+        method,
+        headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new ApiError(`Network error: ${error.message}`, 0);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new ApiError(payload?.error || `Request failed with ${response.status}`, response.status, payload?.issues);
+    }
+    return payload;
+  };
+
+  return {
+    getCountries: () => request('GET', '/countries'),
+    getCities: (countryId) => request('GET', `/countries/${countryId}/cities`),
+    getDistricts: (cityId) => request('GET', '/districts', { query: { cityId } }),
+    getIndustries: () => request('GET', '/industries'),
+    getRoles: (industryId) => request('GET', `/industries/${industryId}/roles`),
+    getExperienceLevels: () => request('GET', '/experience-levels'),
+    getSkills: () => request('GET', '/skills'),
+    getLanguages: () => request('GET', '/languages'),
+    // Paged search over the world city list: { data, total, page, pageSize, totalPages }
+    searchCities: ({ query, page, pageSize, ids } = {}) =>
+      request('GET', '/cities', { query: { q: query, page, pageSize, ids: ids?.join(',') } }),
+
+    listApplications: (query) => request('GET', '/applications', { query }),
+    getApplication: (id) => request('GET', `/applications/${id}`),
+    createApplication: (data) => request('POST', '/applications', { body: data }),
+    updateApplication: (id, data) => request('PUT', `/applications/${id}`, { body: data }),
+    deleteApplication: (id, { permanent = false } = {}) =>
+      request('DELETE', `/applications/${id}`, { query: { permanent: permanent || undefined } }),
+    restoreApplication: (id) => request('POST', `/applications/${id}/restore`),
+  };
+};
+
+// CHALLENGE: "localhost" on the Android emulator is the emulator itself
+const defaultBaseUrl = () => {
+  const url = process.env.EXPO_PUBLIC_API_URL;
+  if (!url) return null;
+  return Platform.OS === 'android' ? url.replace('localhost', '10.0.2.2') : url;
+};
+
+export const API_URL = defaultBaseUrl();
+
+// Shared client used by the app
+export const api = createApiClient({
+  baseUrl: API_URL,
+  latency: parseInt(process.env.EXPO_PUBLIC_API_LATENCY_MS || '0', 10),
+  failureRate: parseFloat(process.env.EXPO_PUBLIC_API_FAILURE_RATE || '0'),
+});
@@ -0,0 +1,246 @@
+import { mockApplications } from './mockData';
+import { toApplicationRecord } from './referenceData';
+import { getDefaultStorage } from './storageAdapters';
+import { createPersistedCollection } from './persistedCollection';
+import { api, API_URL } from './api';
+
+/**
+ * Application Repository
+ *
+ * Single place that reads and writes job applications. The list screens and
+ * the form handlers in App.js all go through it, so drafts and submissions
+ * survive a reload and show up in the list.
+ *
+ * Storage is pluggable (see storageAdapters.js). The whole collection is
+ * stored as one JSON string under `storageKey` (see persistedCollection.js).
+ *
+ * Deleting is soft: `remove` sets `deletedAt` and the record moves to the
+ * trash (`listTrash`), from where it can be restored or purged for good.
+ */
+
+export const APPLICATIONS_STORAGE_KEY = 'applications';
+
+const RESUME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+};
+
+/**
+ * Applications saved before attachments had one `resume` string, a file
+ * name or URL. It becomes an attachment so it's listed and edited like the
+ * others; its size was never stored.
+ */
+const decodeName = (name) => {
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+};
+
+const migrateResume = (record) => {
+  if (!('resume' in record)) return record;
+
+  const { resume, ...rest } = record;
+  if (typeof resume !== 'string' || !resume.trim()) return rest;
+
+  const name = decodeName(resume.split(/[?#]/)[0].split('/').pop()) || 'Resume';
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  const attachments = rest.attachments || [];
+  if (attachments.some(file => file.name === name)) return rest;
+
+  return {
+    ...rest,
+    attachments: [...attachments, {
+      id: `resume-${record.id}`,
+      name,
+      type: RESUME_TYPES[extension] || 'application/octet-stream',
+      size: 0,
+      url: /^https?:\/\//.test(resume) ? resume : '',
+      uploadedAt: record.updatedAt || record.createdAt || '',
+    }],
+  };
+};
+
+export const createApplicationRepository = ({
+  storage = getDefaultStorage(),
+  storageKey = APPLICATIONS_STORAGE_KEY,
+  seed = mockApplications,
+} = {}) => {
+  const { all, write, subscribe } = createPersistedCollection({
+    storage,
+    storageKey,
+    seed,
+    migrate: (applications) => applications.map(migrateResume),
+  });
+
+  const nextId = (applications) =>
+    applications.reduce((max, app) => Math.max(max, app.id), 0) + 1;
+
+  const list = async () => (await all()).filter(app => !app.deletedAt);
+
+  const listTrash = async () => (await all()).filter(app => app.deletedAt);
+
+  const get = async (id) => {
+    const applications = await all();
+    return applications.find(app => app.id === id) || null;
+  };
+
+  const create = (data) => write((applications) => {
+    const now = new Date().toISOString();
+    const record = {
+      status: 'draft',
+      ...toApplicationRecord(data),
+      id: nextId(applications),
+      createdAt: now,
+      updatedAt: now,
+    };
+    return { next: [...applications, record], value: record };
+  });
+
+  const update = (id, changes) => write((applications) => {
+    const index = applications.findIndex(app => app.id === id);
+    if (index < 0) {
+      throw new Error(`Application ${id} not found`);
+    }
+
+    const record = {
+      ...applications[index],
+      ...toApplicationRecord(changes),
+      id,
+      updatedAt: new Date().toISOString(),
+    };
+    const next = [...applications];
+    next[index] = record;
+    return { next, value: record };
+  });
+
+  const setDeletedAt = (id, deletedAt) => write((applications) => {
+    const index = applications.findIndex(app => app.id === id);
+    if (index < 0) {
+      throw new Error(`Application ${id} not found`);
+    }
+
+    const record = { ...applications[index], deletedAt };
+    const next = [...applications];
+    next[index] = record;
+    return { next, value: record };
+  });
+
+  // Soft delete - the record moves to the trash and can be restored
+  const remove = (id) => setDeletedAt(id, new Date().toISOString());
+
+  const restore = (id) => setDeletedAt(id, null);
+
+  // Permanent delete - only for records already in the trash
+  const purge = (id) => write((applications) => {
+    const existing = applications.find(app => app.id === id);
+    if (!existing) {
+      throw new Error(`Application ${id} not found`);
+    }
+    if (!existing.deletedAt) {
+      throw new Error(`Application ${id} must be moved to the trash before purging`);
+    }
+    return { next: applications.filter(app => app.id !== id), value: existing };
+  });
+
+  const emptyTrash = () => write((applications) => ({
+    next: applications.filter(app => !app.deletedAt),
+    value: applications.filter(app => app.deletedAt).length,
+  }));
+
+  // Create or update depending on whether the record already exists
+  const save = async (data) => {
+    const existing = data.id ? await get(data.id) : null;
+    return existing && !existing.deletedAt ? update(data.id, data) : create(data);
+  };
+
+  return {
+    list,
+    listTrash,
+    get,
+    create,
+    update,
+    remove,
+    restore,
+    purge,
+    emptyTrash,
+    save,
+    subscribe,
+  };
+};
+
+/**
+ * Same interface, backed by the REST API instead of local storage.
+ * Used when the app is pointed at the mock server (EXPO_PUBLIC_API_URL).
+ */
+export const createRemoteApplicationRepository = (client = api) => {
+  const listeners = new Set();
+
+  const notify = (value) => {
+    listeners.forEach(listener => listener());
+    return value;
+  };
+
+  const list = async () => (await client.listApplications()).data;
+
+  const listTrash = async () => (await client.listApplications({ trash: true })).data;
+
+  const get = async (id) => {
+    try {
+      return await client.getApplication(id);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  };
+
+  const create = (data) => client.createApplication(data).then(notify);
+
+  const update = (id, changes) => client.updateApplication(id, changes).then(notify);
+
+  const remove = (id) => client.deleteApplication(id).then(notify);
+
+  const restore = (id) => client.restoreApplication(id).then(notify);
+
+  const purge = (id) => client.deleteApplication(id, { permanent: true }).then(notify);
+
+  const emptyTrash = async () => {
+    const trashed = await listTrash();
+    await Promise.all(trashed.map(app => client.deleteApplication(app.id, { permanent: true })));
+    return notify(trashed.length);
+  };
+
+  const save = async (data) => {
+    const existing = data.id ? await get(data.id) : null;
+    return existing && !existing.deletedAt ? update(data.id, data) : create(data);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    list,
+    listTrash,
+    get,
+    create,
+    update,
+    remove,
+    restore,
+    purge,
+    emptyTrash,
+    save,
+    subscribe,
+  };
+};
+
+// Shared instance used by the app - local storage unless a server is configured
+export const applicationRepository = API_URL
+  ? createRemoteApplicationRepository(api)
+  : createApplicationRepository();
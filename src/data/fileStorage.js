@@ -0,0 +1,75 @@
+import { ApiError, API_URL } from './api';
+
+/**
+ * File Storage
+ *
+ * Where attachments get uploaded. Like storageAdapters.js, every adapter
+ * has the same interface so the form never cares which one it got:
+ *
+ *   upload(file, { onProgress }) -> Promise<{ id, url }>
+ *
+ * `file` is what the picker returned (see utils/filePicker.js):
+ * { name, type, size, uri }, plus `file` (the browser File) on web.
+ * onProgress is called with 0..1 as the upload goes.
+ *
+ * Uploaded files are never deleted from here: a saved draft may still point
+ * at a file the user has since removed from the form.
+ */
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let simulatedId = 0;
+
+/**
+ * No server: pretends to upload, reporting progress a chunk at a time, and
+ * keeps the file's local uri as its url. Those uris only last as long as
+ * the app (or browser tab) does.
+ */
+export const createSimulatedFileStorage = ({ bytesPerTick = 256 * 1024, tickMs = 50 } = {}) => ({
+  upload: async (file, { onProgress } = {}) => {
+    const ticks = Math.max(1, Math.ceil(file.size / bytesPerTick));
+    for (let tick = 1; tick <= ticks; tick++) {
+      await delay(tickMs);
+      onProgress?.(tick / ticks);
+    }
+    return { id: `local-${++simulatedId}`, url: file.uri };
+  },
+});
+
+/**
+ * Uploads to the mock server (POST /uploads, see server/index.mjs), which
+ * answers with { id, url }.
+ *
+ * CHALLENGE: fetch() can't report upload progress, so this uses
+ * XMLHttpRequest. The body differs too: on web it's the File itself; React
+ * Native's XHR has no File, but sends the file at `uri` when given { uri }.
+ */
+export const createHttpFileStorage = ({ baseUrl, createRequest = () => new XMLHttpRequest() }) => ({
+  upload: (file, { onProgress } = {}) => new Promise((resolve, reject) => {
+    const xhr = createRequest();
+    xhr.open('POST', `${baseUrl}/uploads`);
+    xhr.setRequestHeader('Content-Type', file.type);
+    xhr.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onProgress?.(event.loaded / event.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        onProgress?.(1);
+        resolve(JSON.parse(xhr.responseText));
+      } else {
+        reject(new ApiError(`Upload failed with ${xhr.status}`, xhr.status));
+      }
+    };
+    xhr.onerror = () => reject(new ApiError('Network error while uploading', 0));
+
+    xhr.send(file.file || { uri: file.uri, type: file.type, name: file.name });
+  }),
+});
+
+export const getDefaultFileStorage = () =>
+  (API_URL ? createHttpFileStorage({ baseUrl: API_URL }) : createSimulatedFileStorage());
+
+// Shared storage used by the app
+export const fileStorage = getDefaultFileStorage();
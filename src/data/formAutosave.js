@@ -0,0 +1,42 @@
+import { getDefaultStorage } from './storageAdapters';
+
+export const AUTOSAVE_STORAGE_PREFIX = 'form-autosave';
+
+/**
+ * Autosave slots for in-progress forms.
+ *
+ * One slot per form + record (e.g. "job:new", "job:12"), each holding the
+ * last snapshot of the form as { values, step, savedAt }. Storage is the
+ * same pluggable key/value store the repository uses (see storageAdapters.js).
+ */
+export const createAutosaveStore = ({
+  storage = getDefaultStorage(),
+  prefix = AUTOSAVE_STORAGE_PREFIX,
+} = {}) => {
+  const storageKey = (slot) => `${prefix}:${slot}`;
+
+  return {
+    load: async (slot) => {
+      const raw = await storage.getItem(storageKey(slot));
+      if (!raw) return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        // A half-written or hand-edited slot isn't worth crashing the form over
+        return null;
+      }
+    },
+
+    save: async (slot, snapshot) => {
+      const saved = { ...snapshot, savedAt: new Date().toISOString() };
+      await storage.setItem(storageKey(slot), JSON.stringify(saved));
+      return saved;
+    },
+
+    clear: (slot) => storage.removeItem(storageKey(slot)),
+  };
+};
+
+// Shared store used by the app
+export const autosaveStore = createAutosaveStore();
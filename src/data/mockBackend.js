@@ -0,0 +1,268 @@
+import {
+  countries,
+  industries,
+  experienceLevels,
+  skills,
+  languages,
+  mockApplications,
+} from './mockData';
+import {
+  findById,
+  getCities,
+  getDistricts,
+  getRoles,
+  toApplicationRecord,
+} from './referenceData';
+import { getWorldCities, searchWorldCities } from './worldCities';
+import { completeFormSchema } from '../utils/validation';
+
+/**
+ * Mock Backend
+ *
+ * Route handlers for a fake REST API, seeded from mockData.js. The same
+ * handlers are served over HTTP by server/index.mjs and called in-process
+ * by the API client (src/data/api.js) when no server URL is configured.
+ *
+ *   GET    /countries
+ *   GET    /countries/:id/cities
+ *   GET    /districts?cityId=
+ *   GET    /industries
+ *   GET    /industries/:id/roles
+ *   GET    /experience-levels
+ *   GET    /skills
+ *   GET    /languages
+ *   GET    /cities?q=&page=&pageSize=&ids=      (50,000 world cities, paged)
+ *   GET    /applications?page=&pageSize=&status=&sortField=&sortDirection=&trash=
+ *   GET    /applications/:id
+ *   POST   /applications
+ *   PUT    /applications/:id
+ *   DELETE /applications/:id               (soft delete, ?permanent=true to purge)
+ *   POST   /applications/:id/restore
+ *
+ * Submitted applications are validated with the same zod schema the form
+ * uses and rejected with 422 + the zod issues when invalid.
+ *
+ * State lives in memory and resets when the backend is recreated.
+ */
+
+const ok = (body, status = 200) => ({ status, body });
+const notFound = (message = 'Not found') => ({ status: 404, body: { error: message } });
+const badRequest = (message) => ({ status: 400, body: { error: message } });
+
+// Drafts may be incomplete; only submissions must pass the full schema
+const validateSubmission = (record) => {
+  if (record.status !== 'submitted') return null;
+
+  const result = completeFormSchema.safeParse(record);
+  if (result.success) return null;
+
+  return {
+    status: 422,
+    body: {
+      error: 'Application is invalid',
+      issues: result.error.issues.map(({ path, message }) => ({ path, message })),
+    },
+  };
+};
+
+const toNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const paginate = (items, query) => {
+  const total = items.length;
+  const pageSize = Math.max(1, toNumber(query.pageSize, total || 1));
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(Math.max(1, toNumber(query.page, 1)), totalPages);
+  const start = (page - 1) * pageSize;
+
+  return {
+    data: items.slice(start, start + pageSize),
+    total,
+    page,
+    pageSize,
+    totalPages,
+  };
+};
+
+// `ids` (comma separated) looks up specific cities, e.g. to label a saved value
+const listWorldCities = (query) => {
+  if (query.ids) {
+    const ids = query.ids.split(',').map(id => toNumber(id, NaN));
+    const cities = getWorldCities().filter(city => ids.includes(city.id));
+    return ok(paginate(cities, { pageSize: cities.length }));
+  }
+
+  return ok(paginate(searchWorldCities(query.q || ''), { pageSize: 50, ...query }));
+};
+
+export const createMockBackend = ({ applications = mockApplications } = {}) => {
+  let records = applications.map(app => ({ ...app }));
+
+  const findApplication = (id) => records.find(app => app.id === id);
+
+  const listApplications = (query) => {
+    const trash = query.trash === 'true';
+    let items = records.filter(app => (trash ? app.deletedAt : !app.deletedAt));
+
+    if (query.status && query.status !== 'all') {
+      items = items.filter(app => app.status === query.status);
+    }
+
+    if (query.sortField) {
+      const direction = query.sortDirection === 'desc' ? -1 : 1;
+      items = [...items].sort((a, b) => {
+        const aVal = a[query.sortField];
+        const bVal = b[query.sortField];
+        if (aVal === bVal) return 0;
+        return (aVal > bVal ? 1 : -1) * direction;
+      });
+    }
+
+    return ok(paginate(items, query));
+  };
+
+  const createApplication = (body) => {
+    if (!body || typeof body !== 'object') {
+      return badRequest('Request body must be an application object');
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      status: 'draft',
+      ...toApplicationRecord(body),
+      id: records.reduce((max, app) => Math.max(max, app.id), 0) + 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const invalid = validateSubmission(record);
+    if (invalid) return invalid;
+
+    records = [...records, record];
+    return ok(record, 201);
+  };
+
+  const updateApplication = (id, body) => {
+    const existing = findApplication(id);
+    if (!existing) return notFound(`Application ${id} not found`);
+
+    const record = {
+      ...existing,
+      ...toApplicationRecord(body || {}),
+      id,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const invalid = validateSubmission(record);
+    if (invalid) return invalid;
+
+    records = records.map(app => (app.id === id ? record : app));
+    return ok(record);
+  };
+
+  const deleteApplication = (id, query) => {
+    const existing = findApplication(id);
+    if (!existing) return notFound(`Application ${id} not found`);
+
+    if (query.permanent === 'true') {
+      if (!existing.deletedAt) {
+        return badRequest(`Application ${id} must be moved to the trash before purging`);
+      }
+      records = records.filter(app => app.id !== id);
+      return ok(existing);
+    }
+
+    const record = { ...existing, deletedAt: new Date().toISOString() };
+    records = records.map(app => (app.id === id ? record : app));
+    return ok(record);
+  };
+
+  const restoreApplication = (id) => {
+    const existing = findApplication(id);
+    if (!existing) return notFound(`Application ${id} not found`);
+
+    const record = { ...existing, deletedAt: null };
+    records = records.map(app => (app.id === id ? record : app));
+    return ok(record);
+  };
+
+  /**
+   * Handle one request. `path` has no query string; `query` is a plain
+   * object of string values.
+   */
+  const handle = ({ method = 'GET', path, query = {}, body }) => {
+    const segments = path.split('/').filter(Boolean);
+    const [resource, rawId, action] = segments;
+    const id = rawId !== undefined ? toNumber(rawId, NaN) : undefined;
+
+    if (rawId !== undefined && Number.isNaN(id)) {
+      return notFound();
+    }
+
+    switch (resource) {
+      case 'countries':
+        if (method !== 'GET') break;
+        if (id === undefined) return ok(countries);
+        if (action === 'cities' && segments.length === 3) {
+          return findById(countries, id) ? ok(getCities(id)) : notFound(`Country ${id} not found`);
+        }
+        break;
+
+      case 'districts':
+        if (method !== 'GET' || segments.length !== 1) break;
+        if (!query.cityId) return badRequest('cityId is required');
+        return ok(getDistricts(toNumber(query.cityId, NaN)));
+
+      case 'industries':
+        if (method !== 'GET') break;
+        if (id === undefined) return ok(industries);
+        if (action === 'roles' && segments.length === 3) {
+          return findById(industries, id) ? ok(getRoles(id)) : notFound(`Industry ${id} not found`);
+        }
+        break;
+
+      case 'experience-levels':
+        if (method === 'GET' && segments.length === 1) return ok(experienceLevels);
+        break;
+
+      case 'skills':
+        if (method === 'GET' && segments.length === 1) return ok(skills);
+        break;
+
+      case 'languages':
+        if (method === 'GET' && segments.length === 1) return ok(languages);
+        break;
+
+      case 'cities':
+        if (method === 'GET' && segments.length === 1) return listWorldCities(query);
+        break;
+
+      case 'applications':
+        if (id === undefined) {
+          if (method === 'GET') return listApplications(query);
+          if (method === 'POST') return createApplication(body);
+          break;
+        }
+        if (action === 'restore' && segments.length === 3 && method === 'POST') {
+          return restoreApplication(id);
+        }
+        if (segments.length !== 2) break;
+        if (method === 'GET') {
+          const existing = findApplication(id);
+          return existing ? ok(existing) : notFound(`Application ${id} not found`);
+        }
+        if (method === 'PUT') return updateApplication(id, body);
+        if (method === 'DELETE') return deleteApplication(id, query);
+        break;
+
+      default:
+        break;
+    }
+
+    return notFound(`Cannot ${method} ${path}`);
+  };
+
+  return { handle };
+};
@@ -37,6 +37,90 @@ export const citiesByCountry = {
   ],
 };
 
+// Districts depend on city (third level of the country -> city -> district chain)
+export const districtsByCity = {
+  101: [ // New York
+    { id: 1011, name: 'Manhattan' },
+    { id: 1012, name: 'Brooklyn' },
+    { id: 1013, name: 'Queens' },
+  ],
+  102: [ // Los Angeles
+    { id: 1021, name: 'Hollywood' },
+    { id: 1022, name: 'Downtown' },
+    { id: 1023, name: 'Venice' },
+  ],
+  103: [ // Chicago
+    { id: 1031, name: 'The Loop' },
+    { id: 1032, name: 'Lincoln Park' },
+    { id: 1033, name: 'Hyde Park' },
+  ],
+  104: [ // Houston
+    { id: 1041, name: 'Midtown' },
+    { id: 1042, name: 'Montrose' },
+    { id: 1043, name: 'The Heights' },
+  ],
+  201: [ // Toronto
+    { id: 2011, name: 'Downtown' },
+    { id: 2012, name: 'Scarborough' },
+    { id: 2013, name: 'North York' },
+  ],
+  202: [ // Vancouver
+    { id: 2021, name: 'Kitsilano' },
+    { id: 2022, name: 'Gastown' },
+    { id: 2023, name: 'Yaletown' },
+  ],
+  203: [ // Montreal
+    { id: 2031, name: 'Plateau-Mont-Royal' },
+    { id: 2032, name: 'Old Montreal' },
+    { id: 2033, name: 'Verdun' },
+  ],
+  301: [ // London
+    { id: 3011, name: 'Camden' },
+    { id: 3012, name: 'Westminster' },
+    { id: 3013, name: 'Hackney' },
+  ],
+  302: [ // Manchester
+    { id: 3021, name: 'Ancoats' },
+    { id: 3022, name: 'Didsbury' },
+    { id: 3023, name: 'Northern Quarter' },
+  ],
+  303: [ // Birmingham
+    { id: 3031, name: 'Digbeth' },
+    { id: 3032, name: 'Edgbaston' },
+    { id: 3033, name: 'Jewellery Quarter' },
+  ],
+  401: [ // Berlin
+    { id: 4011, name: 'Mitte' },
+    { id: 4012, name: 'Kreuzberg' },
+    { id: 4013, name: 'Prenzlauer Berg' },
+  ],
+  402: [ // Munich
+    { id: 4021, name: 'Schwabing' },
+    { id: 4022, name: 'Maxvorstadt' },
+    { id: 4023, name: 'Haidhausen' },
+  ],
+  403: [ // Hamburg
+    { id: 4031, name: 'Altona' },
+    { id: 4032, name: 'St. Pauli' },
+    { id: 4033, name: 'Eimsbüttel' },
+  ],
+  501: [ // Paris
+    { id: 5011, name: 'Le Marais' },
+    { id: 5012, name: 'Montmartre' },
+    { id: 5013, name: 'Saint-Germain-des-Prés' },
+  ],
+  502: [ // Lyon
+    { id: 5021, name: 'Presqu\'île' },
+    { id: 5022, name: 'Croix-Rousse' },
+    { id: 5023, name: 'Confluence' },
+  ],
+  503: [ // Marseille
+    { id: 5031, name: 'Le Panier' },
+    { id: 5032, name: 'Vieux-Port' },
+    { id: 5033, name: 'La Joliette' },
+  ],
+};
+
 export const industries = [
   { id: 1, name: 'Technology' },
   { id: 2, name: 'Healthcare' },
@@ -76,11 +160,40 @@ export const rolesByIndustry = {
 };
 
 // Experience levels
+// Years of experience each level covers; maxYears is exclusive (none for the top level)
 export const experienceLevels = [
-  { id: 1, name: 'Entry Level (0-2 years)' },
-  { id: 2, name: 'Mid Level (3-5 years)' },
-  { id: 3, name: 'Senior Level (6-10 years)' },
-  { id: 4, name: 'Expert Level (10+ years)' },
+  { id: 1, name: 'Entry Level (0-2 years)', minYears: 0, maxYears: 3 },
+  { id: 2, name: 'Mid Level (3-5 years)', minYears: 3, maxYears: 6 },
+  { id: 3, name: 'Senior Level (6-10 years)', minYears: 6, maxYears: 10 },
+  { id: 4, name: 'Expert Level (10+ years)', minYears: 10 },
+];
+
+// Skills (multi-select)
+export const skills = [
+  { id: 1, name: 'JavaScript' },
+  { id: 2, name: 'TypeScript' },
+  { id: 3, name: 'React' },
+  { id: 4, name: 'React Native' },
+  { id: 5, name: 'Node.js' },
+  { id: 6, name: 'Python' },
+  { id: 7, name: 'SQL' },
+  { id: 8, name: 'Data Analysis' },
+  { id: 9, name: 'Project Management' },
+  { id: 10, name: 'Patient Care' },
+  { id: 11, name: 'Accounting' },
+  { id: 12, name: 'Teaching' },
+];
+
+// Spoken languages (multi-select)
+export const languages = [
+  { id: 1, name: 'English' },
+  { id: 2, name: 'French' },
+  { id: 3, name: 'German' },
+  { id: 4, name: 'Spanish' },
+  { id: 5, name: 'Portuguese' },
+  { id: 6, name: 'Italian' },
+  { id: 7, name: 'Mandarin' },
+  { id: 8, name: 'Arabic' },
 ];
 
 // Mock saved applications (for listing)
@@ -0,0 +1,62 @@
+import { getDefaultStorage } from './storageAdapters';
+
+/**
+ * A list of records stored as one JSON string under `storageKey`, read
+ * once and then cached. The application repository and the saved views are
+ * both built on it.
+ *
+ *   all()           -> Promise<records>, after any queued write
+ *   write(mutate)   -> mutate(records) returns { next, value }: `next` is
+ *                      stored, listeners are told, and the promise gets `value`
+ *   subscribe(fn)   -> unsubscribe function
+ *
+ * `migrate(records)` upgrades what was read from storage, for records
+ * written before a field changed shape; the seed is left as it is.
+ *
+ * Writes are queued so two quick changes can't overwrite each other. One
+ * that fails (mutate throws, storage rejects) rejects for its caller only;
+ * the writes after it still run.
+ */
+export const createPersistedCollection = ({
+  storage = getDefaultStorage(),
+  storageKey,
+  seed = [],
+  migrate = (records) => records,
+}) => {
+  let cache = null;
+  let pending = Promise.resolve();
+  const listeners = new Set();
+
+  const load = async () => {
+    if (cache) return cache;
+
+    const raw = await storage.getItem(storageKey);
+    cache = raw ? migrate(JSON.parse(raw)) : [...seed];
+    return cache;
+  };
+
+  const write = (mutate) => {
+    const result = pending.then(async () => {
+      const current = await load();
+      const { next, value } = mutate(current);
+      await storage.setItem(storageKey, JSON.stringify(next));
+      cache = next;
+      listeners.forEach(listener => listener());
+      return value;
+    });
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  const all = async () => {
+    await pending;
+    return load();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { all, write, subscribe };
+};
@@ -0,0 +1,69 @@
+import {
+  countries,
+  citiesByCountry,
+  districtsByCity,
+  industries,
+  rolesByIndustry,
+  experienceLevels,
+  skills,
+  languages,
+} from './mockData';
+import { findWorldCity } from './worldCities';
+
+/**
+ * Lookups over the reference data in mockData.js.
+ *
+ * Kept free of react-native imports so the mock server (server/index.mjs)
+ * can use it under plain node.
+ */
+
+export const findById = (items, id) => items.find(item => item.id === id) || null;
+
+const findName = (items, id) => findById(items, id)?.name;
+
+// Names for a multi-select value, skipping ids that no longer exist
+const findNames = (items, ids) => ids.map(id => findName(items, id)).filter(Boolean);
+
+export const getCities = (countryId) => citiesByCountry[countryId] || [];
+
+export const getDistricts = (cityId) => districtsByCity[cityId] || [];
+
+export const getRoles = (industryId) => rolesByIndustry[industryId] || [];
+
+/**
+ * The form works with ids (countryId, roleId, ...) but the list shows names.
+ * Keep both on the record so it can be listed and edited again.
+ */
+export const toApplicationRecord = (data) => {
+  const record = { ...data };
+
+  if (data.countryId) {
+    record.country = findName(countries, data.countryId) ?? record.country;
+    record.city = findName(getCities(data.countryId), data.cityId) ?? record.city;
+    record.district = findName(getDistricts(data.cityId), data.districtId) ?? record.district;
+    if (Array.isArray(data.preferredCityIds)) {
+      record.preferredCities = findNames(getCities(data.countryId), data.preferredCityIds);
+    }
+  }
+  if (data.relocationCityId) {
+    record.relocationCity = findWorldCity(data.relocationCityId)?.name ?? record.relocationCity;
+  }
+  if (data.industryId) {
+    record.industry = findName(industries, data.industryId) ?? record.industry;
+    record.role = findName(getRoles(data.industryId), data.roleId) ?? record.role;
+  }
+  if (data.experienceId) {
+    record.experience = findName(experienceLevels, data.experienceId) ?? record.experience;
+  }
+  if (Array.isArray(data.skillIds)) {
+    record.skills = findNames(skills, data.skillIds);
+  }
+  if (Array.isArray(data.languageIds)) {
+    record.languages = findNames(languages, data.languageIds);
+  }
+  if (data.expectedSalary !== undefined) {
+    record.salary = data.expectedSalary;
+  }
+
+  return record;
+};
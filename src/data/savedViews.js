@@ -0,0 +1,73 @@
+import { getDefaultStorage } from './storageAdapters';
+import { createPersistedCollection } from './persistedCollection';
+
+export const SAVED_VIEWS_STORAGE_KEY = 'saved-views';
+
+// What a fresh install starts with; they can be renamed and deleted like any other
+export const DEFAULT_SAVED_VIEWS = [
+  { id: 1, name: 'My drafts', query: 'status=draft' },
+  { id: 2, name: 'Senior tech', query: 'industry=1&experience=3,4' },
+];
+
+/**
+ * Named views of the applications list: { id, name, query }, where `query`
+ * is the list's state as a query string (see utils/listState.js), the same
+ * as in the URL on web.
+ *
+ * Stored like the applications, as one JSON string under `storageKey`
+ * (see persistedCollection.js).
+ */
+export const createSavedViewStore = ({
+  storage = getDefaultStorage(),
+  storageKey = SAVED_VIEWS_STORAGE_KEY,
+  seed = DEFAULT_SAVED_VIEWS,
+} = {}) => {
+  const { all, write, subscribe } = createPersistedCollection({ storage, storageKey, seed });
+
+  const toName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+      throw new Error('A saved view needs a name');
+    }
+    return trimmed;
+  };
+
+  const list = () => all();
+
+  const create = (name, query) => write((views) => {
+    const view = {
+      id: views.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+      name: toName(name),
+      query,
+    };
+    return { next: [...views, view], value: view };
+  });
+
+  const rename = (id, name) => write((views) => {
+    const index = views.findIndex(view => view.id === id);
+    if (index < 0) {
+      throw new Error(`Saved view ${id} not found`);
+    }
+
+    const view = { ...views[index], name: toName(name) };
+    const next = [...views];
+    next[index] = view;
+    return { next, value: view };
+  });
+
+  const remove = (id) => write((views) => ({
+    next: views.filter(view => view.id !== id),
+    value: id,
+  }));
+
+  return {
+    list,
+    create,
+    rename,
+    remove,
+    subscribe,
+  };
+};
+
+// Shared store used by the app
+export const savedViewStore = createSavedViewStore();
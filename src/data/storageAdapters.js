@@ -0,0 +1,65 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * CHALLENGE #22: Persistent Storage
+ *
+ * Web has localStorage (synchronous), native has AsyncStorage (async).
+ * Neither exists in tests. Every adapter below exposes the same async
+ * key/value interface so the rest of the app never cares which one it got:
+ *
+ *   getItem(key)        -> Promise<string | null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key)     -> Promise<void>
+ */
+
+// In-memory storage - used in tests and as a last-resort fallback
+export const createMemoryStorage = (initialItems = {}) => {
+  const items = new Map(Object.entries(initialItems));
+
+  return {
+    getItem: async (key) => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+  };
+};
+
+// Web: wraps window.localStorage so it looks async like AsyncStorage
+export const createLocalStorageAdapter = (localStorage) => ({
+  getItem: async (key) => localStorage.getItem(key),
+  setItem: async (key, value) => {
+    localStorage.setItem(key, String(value));
+  },
+  removeItem: async (key) => {
+    localStorage.removeItem(key);
+  },
+});
+
+// Native: anything with the AsyncStorage API
+export const createAsyncStorageAdapter = (asyncStorage) => ({
+  getItem: (key) => asyncStorage.getItem(key),
+  setItem: (key, value) => asyncStorage.setItem(key, String(value)),
+  removeItem: (key) => asyncStorage.removeItem(key),
+});
+
+// CHALLENGE: localStorage can be missing on web (SSR, private mode), so check first
+const hasLocalStorage = () => {
+  try {
+    return typeof window !== 'undefined' && !!window.localStorage;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const getDefaultStorage = () => {
+  if (Platform.OS === 'web') {
+    return hasLocalStorage()
+      ? createLocalStorageAdapter(window.localStorage)
+      : createMemoryStorage();
+  }
+  return createAsyncStorageAdapter(AsyncStorage);
+};
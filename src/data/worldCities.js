@@ -0,0 +1,68 @@
+import { normalizeText } from '../utils/textSearch';
+
+/**
+ * World cities - a large generated option list (50,000 entries) for
+ * exercising async, paged and virtualized dropdowns. Names are made up
+ * ("North Alderton, Canada") but deterministic, so ids are stable.
+ *
+ * Built lazily on first use; kept free of react-native imports so the
+ * mock server can serve it.
+ */
+
+export const WORLD_CITY_COUNT = 50000;
+
+const PREFIXES = ['', 'North ', 'South ', 'East ', 'West ', 'New ', 'Old ', 'Port ', 'Lake ', 'Fort ', 'Saint ', 'Upper '];
+const ROOTS = [
+  'Alder', 'Ash', 'Bay', 'Bel', 'Birch', 'Black', 'Bright', 'Brook', 'Cedar', 'Clear',
+  'Cold', 'Crest', 'Dale', 'Deer', 'Elm', 'Fair', 'Falcon', 'Fern', 'Glen', 'Gold',
+  'Green', 'Hart', 'Hazel', 'High', 'Holly', 'Iron', 'Ivy', 'King', 'Lark', 'Linden',
+  'Maple', 'Marsh', 'Mill', 'Moor', 'Oak', 'Pine', 'Queen', 'Raven', 'Red', 'Rich',
+  'River', 'Rock', 'Rose', 'Sand', 'Silver', 'Spring', 'Stone', 'Summer', 'Swan', 'Thorn',
+  'Upton', 'Vale', 'Wake', 'Water', 'White', 'Willow', 'Wind', 'Winter', 'Wolf', 'York',
+];
+const SUFFIXES = ['', 'ton', 'ville', 'field', 'ford', 'burg', 'haven', 'mouth', 'bridge', 'wood', 'stead', 'port', 'dale', 'ridge'];
+const REGIONS = [
+  'United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Spain',
+  'Italy', 'Brazil', 'Japan', 'India', 'Australia', 'México',
+];
+
+const COMBINATIONS = PREFIXES.length * ROOTS.length * SUFFIXES.length * REGIONS.length;
+// Coprime with COMBINATIONS, so stepping by it visits distinct combinations
+// spread over every root and region instead of the first few
+const STRIDE = 7919;
+
+const cityName = (combination) => {
+  let rest = combination;
+  const region = REGIONS[rest % REGIONS.length];
+  rest = Math.floor(rest / REGIONS.length);
+  const suffix = SUFFIXES[rest % SUFFIXES.length];
+  rest = Math.floor(rest / SUFFIXES.length);
+  const root = ROOTS[rest % ROOTS.length];
+  const prefix = PREFIXES[Math.floor(rest / ROOTS.length)];
+  return `${prefix}${root}${suffix}, ${region}`;
+};
+
+let cities = null;
+let normalizedNames = null;
+
+// Sorted by name; ids are assigned before sorting so they never change
+export const getWorldCities = () => {
+  if (!cities) {
+    cities = Array.from({ length: WORLD_CITY_COUNT }, (_, index) => ({
+      id: index + 1,
+      name: cityName((index * STRIDE) % COMBINATIONS),
+    })).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    normalizedNames = cities.map(city => normalizeText(city.name));
+  }
+  return cities;
+};
+
+export const findWorldCity = (id) => getWorldCities().find(city => city.id === id) || null;
+
+// Same accent/case-insensitive matching as the dropdown uses on the client
+export const searchWorldCities = (query) => {
+  const all = getWorldCities();
+  const normalizedQuery = normalizeText(query).trim();
+  if (!normalizedQuery) return all;
+  return all.filter((city, index) => normalizedNames[index].includes(normalizedQuery));
+};
@@ -0,0 +1,142 @@
+/**
+ * Helpers shared by every form definition (see jobApplicationForm.js).
+ */
+
+const EMPTY_VALUES = {
+  select: 0,
+  multiselect: [],
+  attachments: [],
+  repeatable: [],
+  checkbox: false,
+  daterange: { start: '', end: '' },
+  number: 0,
+};
+
+// What a field holds when nothing is entered/selected
+export const getEmptyValue = (field) => EMPTY_VALUES[field.widget] ?? '';
+
+export const getDefaultValue = (field) =>
+  field.defaultValue !== undefined ? field.defaultValue : getEmptyValue(field);
+
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || value === 0
+  || (Array.isArray(value) && value.length === 0)
+  // Date ranges: { start: '', end: '' }
+  || (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isEmptyValue));
+
+export const isSelectWidget = (field) =>
+  field.widget === 'select' || field.widget === 'multiselect';
+
+export const getFields = (definition) =>
+  definition.steps.flatMap(step => step.fields);
+
+/**
+ * A step's fields as they should be shown for the current values: in the
+ * step's `order(values)` when it has one (fields it doesn't list go last),
+ * and with each field's `adapt(values)` overrides (label, placeholder...)
+ * applied, e.g. the postal code field of the selected country.
+ */
+export const getStepFields = (step, values) => {
+  const order = step.order?.(values);
+  const rank = (field, index) => {
+    const position = order ? order.indexOf(field.name) : -1;
+    return position >= 0 ? position : step.fields.length + index;
+  };
+
+  return step.fields
+    .map((field, index) => ({ field, rank: rank(field, index) }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ field }) => (field.adapt ? { ...field, ...field.adapt(values) } : field));
+};
+
+export const getDefaultValues = (definition) =>
+  Object.fromEntries(getFields(definition).map(field => [field.name, getDefaultValue(field)]));
+
+export const getFieldLabel = (field) =>
+  (field.required ? `${field.label} *` : field.label);
+
+/**
+ * First error inside a field's RHF error, as { path, message }. Repeatable
+ * fields get nested errors ({ 0: { startDate: { message } }, root: { message } }),
+ * so this digs in; `path` leads from the field to the error, e.g. ['0', 'startDate'].
+ */
+export const getFirstError = (error, path = []) => {
+  if (!error || typeof error !== 'object') return null;
+  if (typeof error.message === 'string') return { path, message: error.message };
+  for (const [key, nested] of Object.entries(error)) {
+    if (key === 'ref') continue;
+    const found = getFirstError(nested, [...path, key]);
+    if (found) return found;
+  }
+  return null;
+};
+
+export const getErrorMessage = (error) => getFirstError(error)?.message;
+
+// Step/form schemas may be plain zod schemas or factories of the validation context
+export const resolveSchema = (schema, context) =>
+  (typeof schema === 'function' ? schema(context) : schema);
+
+/**
+ * Direct dependents of every field: { countryId: ['cityId', ...], cityId: ['districtId'] }.
+ * Chains can be any depth and span steps. Throws on a `dependsOn` naming an
+ * unknown field or forming a cycle, so a broken definition fails right away
+ * instead of resetting fields forever.
+ */
+export const getDependentFields = (definition) => {
+  const fields = getFields(definition);
+  const dependents = Object.fromEntries(fields.map(field => [field.name, []]));
+
+  fields.forEach(field => {
+    (field.dependsOn || []).forEach(parent => {
+      if (!dependents[parent]) {
+        throw new Error(`Field "${field.name}" depends on unknown field "${parent}"`);
+      }
+      dependents[parent].push(field.name);
+    });
+  });
+
+  const visit = (name, path) => {
+    dependents[name].forEach(child => {
+      if (path.includes(child)) {
+        throw new Error(`Circular dependsOn: ${[...path, child].join(' -> ')}`);
+      }
+      visit(child, [...path, child]);
+    });
+  };
+  fields.forEach(field => visit(field.name, [field.name]));
+
+  return dependents;
+};
+
+// Index of the step a field is on, or -1
+export const getFieldStepIndex = (definition, name) =>
+  definition.steps.findIndex(step => step.fields.some(field => field.name === name));
+
+// { parentName: value } for a field's `dependsOn`
+export const getParentValues = (field, values) =>
+  Object.fromEntries((field.dependsOn || []).map(name => [name, values[name]]));
+
+/**
+ * The option objects behind a select/multiselect value, so a value can be
+ * shown by name instead of id. Uses the field's own `options`/`loadOptions`,
+ * so it works for any definition. Always resolves to an array.
+ */
+export const loadSelectedOptions = async (field, values) => {
+  const ids = [].concat(values[field.name] || []).filter(id => !isEmptyValue(id));
+  if (ids.length === 0) return [];
+
+  let options;
+  if (field.loadOptions) {
+    options = (await field.loadOptions({ ids })).data;
+  } else if (Array.isArray(field.options)) {
+    options = field.options;
+  } else {
+    const parentValues = getParentValues(field, values);
+    if (!Object.values(parentValues).every(value => value)) return [];
+    options = await field.options(parentValues);
+  }
+
+  // In the order they were picked
+  return ids.map(id => options.find(option => option.id === id)).filter(Boolean);
+};
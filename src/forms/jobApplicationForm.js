@@ -0,0 +1,404 @@
+import { api } from '../data/api';
+import {
+  defaultValidationContext,
+  personalInfoSchema,
+  createLocationSchema,
+  createProfessionalInfoSchema,
+  createBackgroundSchema,
+  createCompleteFormSchema,
+  pickedFileSchema,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  INTERVIEW_WINDOW_DAYS,
+} from '../utils/validation';
+import { getTotalYears, formatYears } from '../utils/monthRanges';
+import { today, addDays, isWeekend } from '../utils/dates';
+import { getAddressFormat } from '../utils/addressFormats';
+import { phoneMask, postalCodeMask, currencyMask } from '../utils/masks';
+
+// Address conventions of the selected country, or null before one is picked
+const countryFormat = (values) =>
+  getAddressFormat(defaultValidationContext.findCountry(values.countryId));
+
+// "2021-03 - present"-style span of a work history/education entry
+const formatSpan = (entry) => `${entry.startDate || '?'} - ${entry.current ? 'present' : entry.endDate || '?'}`;
+
+// Sub-fields shared by both repeatable sections
+const dateFields = (currentLabel) => [
+  {
+    name: 'startDate',
+    label: 'Start',
+    widget: 'month',
+    required: true,
+    placeholder: 'YYYY-MM',
+  },
+  {
+    name: 'current',
+    label: currentLabel,
+    widget: 'checkbox',
+  },
+  {
+    name: 'endDate',
+    label: 'End',
+    widget: 'month',
+    required: true,
+    placeholder: 'YYYY-MM',
+    showWhen: (entry) => !entry.current,
+  },
+];
+
+/**
+ * Job Application - form definition
+ *
+ * Rendered by JobApplicationForm + FormField. Each step lists its fields and
+ * the zod schema used to validate it before moving on. A schema can also be
+ * a factory taking the validation context, for cross-field rules that need
+ * reference data (see utils/validation.js).
+ *
+ * Steps can also have `order: (values) => [field names]` to rearrange their
+ * fields (unlisted ones go last), e.g. per-country address layouts.
+ *
+ * Field options:
+ *   name          form value key
+ *   label         shown above the input (" *" is added when required)
+ *   widget        'text' | 'email' | 'phone' | 'textarea' | 'number' | 'select'
+ *                 | 'multiselect' (value is an array of option ids)
+ *                 | 'attachments' (value is an array of uploaded file metadata)
+ *                 | 'month' (a "YYYY-MM" string) | 'checkbox' (boolean)
+ *                 | 'date' (a "YYYY-MM-DD" string) | 'daterange' ({ start, end } of those)
+ *                 | 'repeatable' (value is an array of entries, see `fields`)
+ *   defaultValue  initial value when not in initialData
+ *   placeholder   input placeholder
+ *   autoComplete  text widgets only - autofill token ('given-name', 'email', 'tel'...),
+ *                 for browsers, password managers and the iOS/Android keyboards
+ *   options       select/multiselect only - an array, or (parentValues) => Promise<array>
+ *   loadOptions   select/multiselect only - instead of `options`, for big lists:
+ *                 ({ query, page, pageSize, ids }) => Promise<{ data, page, totalPages }>
+ *   dependsOn     select/multiselect only - parent field names; options load once all are
+ *                 set, and the value is cleared when a parent changes. Chains can be
+ *                 any depth (country -> city -> district) and span steps
+ *   dependentPlaceholder  placeholder while a parent is still empty
+ *   searchable    select/multiselect only - show a search field that filters the options
+ *   maxSelections multiselect only - how many options can be picked
+ *   hint          select/multiselect only - (selectedOption) => string | null, shown
+ *                 below; multiselect passes the array of selected options
+ *   mask          text/number only - formats the value as it's typed (see utils/masks.js);
+ *                 the form keeps it unformatted
+ *   revalidate    field names to re-check when this one changes (if they have a value)
+ *   accept        attachments only - accepted MIME types
+ *   maxFiles      attachments only - how many files can be attached
+ *   fileSchema    attachments only - zod schema each picked file ({ name, type, size })
+ *                 must pass before it's uploaded
+ *   storage       attachments only - upload adapter (default: data/fileStorage.js)
+ *   minDate       date/daterange only - earliest date that can be picked ("YYYY-MM-DD"),
+ *                 or a function returning one (e.g. today)
+ *   maxDate       date/daterange only - latest date that can be picked, same as minDate
+ *   isDateDisabled  date/daterange only - (date) => boolean, e.g. no weekends
+ *   startLabel    daterange only - label of the first input (default "Start")
+ *   endLabel      daterange only - label of the second input (default "End")
+ *   fields        repeatable only - the fields of one entry (same options as here)
+ *   itemLabel     repeatable only - an entry's title, numbered ("Position 2")
+ *   addLabel      repeatable only - text of the add button
+ *   maxItems      repeatable only - how many entries can be added
+ *   summary       repeatable only - (entries) => string shown below the entries
+ *   itemSummary   repeatable only - (entry) => string, one line per entry on the review step
+ *   adapt         (values) => overrides ({ label, placeholder }) or null, e.g. to name
+ *                 the postal code field the way the selected country does
+ *   showWhen      fields of a repeatable only - (entry) => boolean; hidden (and cleared)
+ *                 while false
+ *
+ * To add a new application type (internship, contractor...), copy this file
+ * and change the steps - no JSX needed.
+ */
+
+export const jobApplicationForm = {
+  id: 'job',
+  title: 'Job Application Form',
+  schema: createCompleteFormSchema,
+  steps: [
+    {
+      id: 'personal',
+      title: 'Personal Information',
+      schema: personalInfoSchema,
+      fields: [
+        {
+          name: 'firstName',
+          label: 'First Name',
+          widget: 'text',
+          required: true,
+          placeholder: 'Enter first name',
+          autoCapitalize: 'words',
+          autoComplete: 'given-name',
+        },
+        {
+          name: 'lastName',
+          label: 'Last Name',
+          widget: 'text',
+          required: true,
+          placeholder: 'Enter last name',
+          autoCapitalize: 'words',
+          autoComplete: 'family-name',
+        },
+        {
+          name: 'email',
+          label: 'Email',
+          widget: 'email',
+          required: true,
+          placeholder: 'your.email@example.com',
+          autoComplete: 'email',
+        },
+      ],
+    },
+    {
+      id: 'location',
+      title: 'Location Details',
+      schema: createLocationSchema,
+      // "10115 Berlin": some countries write the postal code before the city
+      order: (values) => (countryFormat(values)?.postalBeforeCity
+        ? ['countryId', 'address', 'postalCode', 'cityId', 'districtId']
+        : null),
+      fields: [
+        {
+          name: 'countryId',
+          label: 'Country',
+          widget: 'select',
+          required: true,
+          options: () => api.getCountries(),
+          placeholder: 'Select country',
+          searchable: true,
+          revalidate: ['postalCode', 'phone'],
+        },
+        {
+          name: 'address',
+          label: 'Street Address',
+          widget: 'textarea',
+          required: true,
+          placeholder: 'Enter street address',
+          autoComplete: 'street-address',
+          adapt: (values) => countryFormat(values) && {
+            label: countryFormat(values).addressLabel,
+            placeholder: countryFormat(values).addressPlaceholder,
+          },
+        },
+        {
+          name: 'cityId',
+          label: 'City',
+          widget: 'select',
+          required: true,
+          options: ({ countryId }) => api.getCities(countryId),
+          dependsOn: ['countryId'],
+          placeholder: 'Select city',
+          searchable: true,
+          dependentPlaceholder: 'Select country first',
+        },
+        {
+          name: 'districtId',
+          label: 'District',
+          widget: 'select',
+          options: ({ cityId }) => api.getDistricts(cityId),
+          dependsOn: ['cityId'],
+          placeholder: 'Select district',
+          dependentPlaceholder: 'Select city first',
+          adapt: (values) => countryFormat(values) && { label: countryFormat(values).districtLabel },
+        },
+        {
+          name: 'postalCode',
+          label: 'Postal Code',
+          widget: 'text',
+          required: true,
+          placeholder: '12345',
+          autoCapitalize: 'characters',
+          autoComplete: 'postal-code',
+          adapt: (values) => countryFormat(values) && {
+            label: countryFormat(values).postalLabel,
+            placeholder: countryFormat(values).postalPlaceholder,
+            mask: postalCodeMask(countryFormat(values)),
+          },
+        },
+        {
+          name: 'phone',
+          label: 'Phone Number',
+          widget: 'phone',
+          required: true,
+          placeholder: '+1 (555) 123-4567',
+          autoComplete: 'tel',
+          mask: phoneMask(),
+          adapt: (values) => countryFormat(values) && {
+            label: `Phone Number (+${countryFormat(values).callingCode})`,
+            placeholder: countryFormat(values).phonePlaceholder,
+            mask: phoneMask(countryFormat(values).phonePattern),
+          },
+        },
+        {
+          name: 'preferredCityIds',
+          label: 'Preferred Cities',
+          widget: 'multiselect',
+          options: ({ countryId }) => api.getCities(countryId),
+          dependsOn: ['countryId'],
+          placeholder: 'Any city',
+          dependentPlaceholder: 'Select country first',
+          maxSelections: 3,
+        },
+        {
+          name: 'relocationCityId',
+          label: 'Open to Relocating To',
+          widget: 'select',
+          loadOptions: (params) => api.searchCities(params),
+          placeholder: 'Search cities worldwide',
+        },
+      ],
+    },
+    {
+      id: 'professional',
+      title: 'Professional Information',
+      schema: createProfessionalInfoSchema,
+      fields: [
+        {
+          name: 'industryId',
+          label: 'Industry',
+          widget: 'select',
+          required: true,
+          options: () => api.getIndustries(),
+          placeholder: 'Select industry',
+          searchable: true,
+        },
+        {
+          name: 'roleId',
+          label: 'Job Role',
+          widget: 'select',
+          required: true,
+          options: ({ industryId }) => api.getRoles(industryId),
+          dependsOn: ['industryId'],
+          placeholder: 'Select role',
+          searchable: true,
+          dependentPlaceholder: 'Select industry first',
+          hint: (role) => role
+            && `Minimum salary for ${role.name}: $${role.minSalary.toLocaleString()}`,
+          revalidate: ['expectedSalary'],
+        },
+        {
+          name: 'experienceId',
+          label: 'Experience Level',
+          widget: 'select',
+          required: true,
+          options: () => api.getExperienceLevels(),
+          placeholder: 'Select experience level',
+        },
+        {
+          name: 'skillIds',
+          label: 'Skills',
+          widget: 'multiselect',
+          required: true,
+          options: () => api.getSkills(),
+          placeholder: 'Select up to 5 skills',
+          searchable: true,
+          maxSelections: 5,
+        },
+        {
+          name: 'languageIds',
+          label: 'Languages',
+          widget: 'multiselect',
+          options: () => api.getLanguages(),
+          placeholder: 'Select languages',
+          searchable: true,
+        },
+        {
+          name: 'expectedSalary',
+          label: 'Expected Salary (USD)',
+          widget: 'number',
+          required: true,
+          placeholder: '$80,000',
+          mask: currencyMask('USD'),
+        },
+        {
+          name: 'availableFrom',
+          label: 'Available From',
+          widget: 'date',
+          minDate: () => today(),
+        },
+        {
+          name: 'interviewDates',
+          label: 'Interview Availability',
+          widget: 'daterange',
+          startLabel: 'From',
+          endLabel: 'To',
+          minDate: () => today(),
+          maxDate: () => addDays(today(), INTERVIEW_WINDOW_DAYS),
+          isDateDisabled: isWeekend,
+        },
+        {
+          name: 'attachments',
+          label: 'Resume & Documents',
+          widget: 'attachments',
+          accept: Object.keys(ATTACHMENT_TYPES),
+          maxFiles: MAX_ATTACHMENTS,
+          fileSchema: pickedFileSchema,
+          placeholder: 'PDF, Word, PNG or JPEG, up to 5 MB each',
+        },
+      ],
+    },
+    {
+      id: 'background',
+      title: 'Experience & Education',
+      schema: createBackgroundSchema,
+      fields: [
+        {
+          name: 'workHistory',
+          label: 'Employment History',
+          widget: 'repeatable',
+          itemLabel: 'Position',
+          addLabel: 'Add position',
+          maxItems: 10,
+          fields: [
+            {
+              name: 'company',
+              label: 'Company',
+              widget: 'text',
+              required: true,
+              placeholder: 'Company name',
+              autoCapitalize: 'words',
+            },
+            {
+              name: 'title',
+              label: 'Job Title',
+              widget: 'text',
+              required: true,
+              placeholder: 'e.g. Frontend Developer',
+              autoCapitalize: 'words',
+            },
+            ...dateFields('I currently work here'),
+          ],
+          summary: (entries) => `Total experience: ${formatYears(getTotalYears(entries))}`,
+          itemSummary: (entry) => `${entry.title} at ${entry.company} (${formatSpan(entry)})`,
+        },
+        {
+          name: 'education',
+          label: 'Education',
+          widget: 'repeatable',
+          itemLabel: 'Degree',
+          addLabel: 'Add degree',
+          maxItems: 5,
+          fields: [
+            {
+              name: 'institution',
+              label: 'Institution',
+              widget: 'text',
+              required: true,
+              placeholder: 'School or university',
+              autoCapitalize: 'words',
+            },
+            {
+              name: 'degree',
+              label: 'Degree',
+              widget: 'text',
+              required: true,
+              placeholder: 'e.g. BSc Computer Science',
+            },
+            ...dateFields('I currently study here'),
+          ],
+          itemSummary: (entry) => `${entry.degree}, ${entry.institution} (${formatSpan(entry)})`,
+        },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,145 @@
+/**
+ * How addresses and phone numbers are written in each supported country
+ * (see `countries` in data/mockData.js), keyed by country code.
+ *
+ *   postalLabel / postalPlaceholder  what the postal code is called, an example
+ *   postalPattern    valid postal codes (checked after formatPostalCode)
+ *   postalLength     most letters/digits a postal code has (without spaces or dashes)
+ *   spacePostal      (compact code) => the code with its space/dash, if it has one
+ *   postalBeforeCity the postal code is written before the city ("10115 Berlin")
+ *   addressLabel / addressPlaceholder  the street address field
+ *   districtLabel    what a city's subdivision is called
+ *   callingCode      international dialling code, without "+"
+ *   trunkPrefix      dialled before national numbers at home, dropped in E.164
+ *   nationalPattern  valid national numbers, digits only, without the trunk prefix
+ *   phonePlaceholder an example number as people write it
+ *   phonePattern     how national numbers are grouped, for utils/masks.js
+ *
+ * Kept free of react-native imports: validation.js uses it on the server too.
+ */
+
+export const ADDRESS_FORMATS = {
+  US: {
+    postalLabel: 'ZIP Code',
+    postalPlaceholder: '10001',
+    // ZIP or ZIP+4
+    postalPattern: /^\d{5}(-\d{4})?$/,
+    postalBeforeCity: false,
+    postalLength: 9,
+    spacePostal: (code) => code.replace(/^(\d{5})(\d)/, '$1-$2'),
+    addressLabel: 'Street Address',
+    addressPlaceholder: '350 Fifth Avenue, Apt 4B',
+    districtLabel: 'Borough / District',
+    callingCode: '1',
+    trunkPrefix: '1',
+    // NANP: area code and exchange can't start with 0 or 1
+    nationalPattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    phonePlaceholder: '(212) 555-0123',
+    phonePattern: '(###) ###-####',
+  },
+  CA: {
+    postalLabel: 'Postal Code',
+    postalPlaceholder: 'M5V 2T6',
+    // A1A 1A1, without the letters Canada Post never uses
+    postalPattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+    postalBeforeCity: false,
+    postalLength: 6,
+    spacePostal: (code) => code.replace(/^(.{3})(.)/, '$1 $2'),
+    addressLabel: 'Street Address',
+    addressPlaceholder: '290 Bremner Blvd, Unit 12',
+    districtLabel: 'District',
+    callingCode: '1',
+    trunkPrefix: '1',
+    nationalPattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    phonePlaceholder: '(416) 555-0123',
+    phonePattern: '(###) ###-####',
+  },
+  UK: {
+    postalLabel: 'Postcode',
+    postalPlaceholder: 'SW1A 1AA',
+    // Outward code (SW1A) and inward code (1AA)
+    postalPattern: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
+    postalBeforeCity: false,
+    postalLength: 7,
+    // The outward code varies in length, so the space goes in once the inward code is complete
+    spacePostal: (code) => code.replace(/^(.+)(\d[A-Z]{2})$/, '$1 $2'),
+    addressLabel: 'Address',
+    addressPlaceholder: '10 Downing Street, Flat 2',
+    districtLabel: 'Area',
+    callingCode: '44',
+    trunkPrefix: '0',
+    nationalPattern: /^[1-9]\d{8,9}$/,
+    phonePlaceholder: '07700 900123',
+    phonePattern: '##### ######',
+  },
+  DE: {
+    postalLabel: 'Postleitzahl (PLZ)',
+    postalPlaceholder: '10115',
+    postalPattern: /^\d{5}$/,
+    postalBeforeCity: true,
+    postalLength: 5,
+    addressLabel: 'Straße und Hausnummer',
+    addressPlaceholder: 'Unter den Linden 77',
+    districtLabel: 'Bezirk',
+    callingCode: '49',
+    trunkPrefix: '0',
+    // Area codes and subscriber numbers vary in length
+    nationalPattern: /^[1-9]\d{5,12}$/,
+    phonePlaceholder: '030 123456',
+    phonePattern: '#### ########',
+  },
+  FR: {
+    postalLabel: 'Code postal',
+    postalPlaceholder: '75001',
+    postalPattern: /^\d{5}$/,
+    postalBeforeCity: true,
+    postalLength: 5,
+    addressLabel: 'Adresse',
+    addressPlaceholder: '12 rue de Rivoli',
+    districtLabel: 'Arrondissement',
+    callingCode: '33',
+    trunkPrefix: '0',
+    nationalPattern: /^[1-9]\d{8}$/,
+    phonePlaceholder: '06 12 34 56 78',
+    phonePattern: '## ## ## ## ##',
+  },
+};
+
+// The format for a country from `countries` (or null when there's none)
+export const getAddressFormat = (country) => (country && ADDRESS_FORMATS[country.code]) || null;
+
+/**
+ * Postal codes as the post office writes them, however they were typed:
+ * upper case, with the country's space or dash ("sw1a1aa" -> "SW1A 1AA",
+ * "100011234" -> "10001-1234"). Also formats partly typed codes.
+ */
+export const formatPostalCode = (value, format) => {
+  const compact = String(value ?? '').toUpperCase().replace(/[\s-]+/g, '');
+  return format.spacePostal ? format.spacePostal(compact) : compact;
+};
+
+export const isValidPostalCode = (value, format) =>
+  format.postalPattern.test(formatPostalCode(value, format));
+
+/**
+ * A phone number typed any common way ("(212) 555-0123", "+1 212 555 0123",
+ * "0044 7700 900123", "07700 900123") in E.164 ("+12125550123"), or null
+ * when it isn't a valid number for the country.
+ */
+export const toE164 = (value, format) => {
+  const text = String(value ?? '').trim();
+  // Only digits count; a leading "+" or "00" means the calling code follows
+  let digits = text.replace(/\D/g, '');
+  const international = text.startsWith('+') || digits.startsWith('00');
+
+  if (international) {
+    digits = digits.replace(/^00/, '');
+    if (!digits.startsWith(format.callingCode)) return null;
+    digits = digits.slice(format.callingCode.length);
+  } else if (format.trunkPrefix && digits.startsWith(format.trunkPrefix)
+    && !format.nationalPattern.test(digits)) {
+    digits = digits.slice(format.trunkPrefix.length);
+  }
+
+  return format.nationalPattern.test(digits) ? `+${format.callingCode}${digits}` : null;
+};
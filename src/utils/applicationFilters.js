@@ -0,0 +1,112 @@
+import { countries, industries, experienceLevels } from '../data/mockData';
+import { findById, getRoles } from '../data/referenceData';
+import { toISODate, formatDate } from './dates';
+
+/**
+ * Filters for the applications list (see components/FilterPanel.js).
+ *
+ *   salaryMin / salaryMax  whole amounts, 0 for no bound
+ *   created                { start, end } "YYYY-MM-DD" days the application
+ *                          was created on, '' for an open end (a DatePicker range)
+ *   industryIds, countryIds, roleIds, experienceIds
+ *                          ids from data/mockData.js, [] for any
+ *
+ * Every filter that's set has to match (AND); within a multi-select any of
+ * the picked values does (Technology or Finance). Records keep names, not
+ * ids (see toApplicationRecord), so the ids are looked up first.
+ *
+ * Kept free of react-native imports.
+ */
+
+export const EMPTY_FILTERS = {
+  salaryMin: 0,
+  salaryMax: 0,
+  created: { start: '', end: '' },
+  industryIds: [],
+  countryIds: [],
+  roleIds: [],
+  experienceIds: [],
+};
+
+const allRoles = industries.flatMap(industry => getRoles(industry.id));
+
+// Roles to pick from: those of the picked industries, or all of them
+export const getRoleOptions = (industryIds = []) =>
+  (industryIds.length ? industryIds.flatMap(getRoles) : allRoles);
+
+/**
+ * The multi-selects: filter key, chip label, the record field it matches,
+ * the options its ids come from and its name in a URL (see listState.js)
+ */
+export const LIST_FILTERS = [
+  { key: 'industryIds', label: 'Industry', field: 'industry', options: industries, param: 'industry' },
+  { key: 'countryIds', label: 'Country', field: 'country', options: countries, param: 'country' },
+  { key: 'roleIds', label: 'Role', field: 'role', options: allRoles, param: 'role' },
+  { key: 'experienceIds', label: 'Experience', field: 'experience', options: experienceLevels, param: 'experience' },
+];
+
+const formatSalary = (amount) => `$${amount.toLocaleString()}`;
+
+// The local day an ISO timestamp falls on, like the dates in `created`
+const createdOn = (app) => (app.createdAt ? toISODate(new Date(app.createdAt)) : '');
+
+export const matchesFilters = (app, filters) => {
+  const { salaryMin, salaryMax, created } = filters;
+
+  if (salaryMin && !(app.salary >= salaryMin)) return false;
+  if (salaryMax && !(app.salary <= salaryMax)) return false;
+
+  const day = createdOn(app);
+  if (created.start && !(day && day >= created.start)) return false;
+  if (created.end && !(day && day <= created.end)) return false;
+
+  return LIST_FILTERS.every(({ key, field, options }) =>
+    filters[key].length === 0
+    || filters[key].some(id => findById(options, id)?.name === app[field]));
+};
+
+/**
+ * The filters that are set, as chips: { key, label, remove }, where
+ * `remove` returns the filters without that one. Picked values get a chip
+ * each, so one of two industries can be removed on its own.
+ */
+export const getFilterChips = (filters, locale) => {
+  const chips = [];
+  const { salaryMin, salaryMax, created } = filters;
+
+  if (salaryMin || salaryMax) {
+    chips.push({
+      key: 'salary',
+      label: salaryMin && salaryMax
+        ? `Salary: ${formatSalary(salaryMin)} - ${formatSalary(salaryMax)}`
+        : salaryMin ? `Salary from ${formatSalary(salaryMin)}` : `Salary up to ${formatSalary(salaryMax)}`,
+      remove: (current) => ({ ...current, salaryMin: 0, salaryMax: 0 }),
+    });
+  }
+
+  if (created.start || created.end) {
+    const start = created.start && formatDate(created.start, locale);
+    const end = created.end && formatDate(created.end, locale);
+    chips.push({
+      key: 'created',
+      label: start && end
+        ? `Created: ${start} - ${end}`
+        : start ? `Created from ${start}` : `Created until ${end}`,
+      remove: (current) => ({ ...current, created: EMPTY_FILTERS.created }),
+    });
+  }
+
+  LIST_FILTERS.forEach(({ key, label, options }) => {
+    filters[key].forEach(id => {
+      const option = findById(options, id);
+      if (!option) return;
+      chips.push({
+        key: `${key}-${id}`,
+        label: `${label}: ${option.name}`,
+        remove: (current) => ({ ...current, [key]: current[key].filter(other => other !== id) }),
+      });
+    });
+  });
+
+  return chips;
+};
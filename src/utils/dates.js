@@ -0,0 +1,168 @@
+/**
+ * Calendar dates as "YYYY-MM-DD" strings: no time or time zone to go wrong,
+ * they survive JSON/AsyncStorage as is, and they sort as plain text - so
+ * min/max checks are just string comparisons.
+ *
+ * Display and typed entry follow the user's locale ("12/31/2024" in the US,
+ * "31.12.2024" in Germany) through Intl, which works the same on web and
+ * Hermes. Kept free of react-native imports: validation.js uses it too.
+ */
+
+export const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_LOCALE = Intl.DateTimeFormat().resolvedOptions().locale;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+export const toISODate = (date) =>
+  `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local midnight of an ISO date, or null for anything that isn't a real date ("2024-02-30")
+export const fromISODate = (iso) => {
+  if (!ISO_DATE_PATTERN.test(iso || '')) return null;
+  const [year, month, day] = iso.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+export const isValidISODate = (iso) => fromISODate(iso) !== null;
+
+export const today = (now = new Date()) => toISODate(now);
+
+export const addDays = (iso, days) => {
+  const date = fromISODate(iso);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+// Keeps the day where it can: Jan 31 + 1 month -> Feb 29 (or 28)
+export const addMonths = (iso, months) => {
+  const date = fromISODate(iso);
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return toISODate(date);
+};
+
+export const startOfMonth = (iso) => `${iso.slice(0, 7)}-01`;
+
+export const dayOfWeek = (iso) => fromISODate(iso).getDay();
+
+export const isWeekend = (iso) => [0, 6].includes(dayOfWeek(iso));
+
+export const clampDate = (iso, minDate, maxDate) => {
+  if (minDate && iso < minDate) return minDate;
+  if (maxDate && iso > maxDate) return maxDate;
+  return iso;
+};
+
+/**
+ * Whether a date can be picked: within minDate/maxDate (inclusive) and not
+ * rejected by `isDateDisabled(iso)`.
+ */
+export const isDateAllowed = (iso, { minDate, maxDate, isDateDisabled } = {}) =>
+  !(minDate && iso < minDate)
+  && !(maxDate && iso > maxDate)
+  && !isDateDisabled?.(iso);
+
+const NUMERIC_FORMAT = { year: 'numeric', month: '2-digit', day: '2-digit' };
+// A date whose day, month and year are all different, to tell them apart
+const SAMPLE_DATE = new Date(2001, 10, 22);
+
+/**
+ * How the locale writes a numeric date: the order of its parts and the
+ * separator, e.g. { order: ['month', 'day', 'year'], separator: '/' }.
+ */
+export const getDateFormat = (locale = DEFAULT_LOCALE) => {
+  const parts = new Intl.DateTimeFormat(locale, NUMERIC_FORMAT).formatToParts(SAMPLE_DATE);
+  return {
+    order: parts.filter(part => ['day', 'month', 'year'].includes(part.type)).map(part => part.type),
+    separator: parts.find(part => part.type === 'literal')?.value.trim() || '/',
+  };
+};
+
+// "MM/DD/YYYY", "DD.MM.YYYY"... - shown as the input's placeholder
+export const getDatePattern = (locale = DEFAULT_LOCALE) => {
+  const { order, separator } = getDateFormat(locale);
+  const tokens = { day: 'DD', month: 'MM', year: 'YYYY' };
+  return order.map(part => tokens[part]).join(separator);
+};
+
+// "2024-12-31" -> "12/31/2024" (en-US), "31.12.2024" (de-DE)
+export const formatDate = (iso, locale = DEFAULT_LOCALE) => {
+  const date = fromISODate(iso);
+  return date ? new Intl.DateTimeFormat(locale, NUMERIC_FORMAT).format(date) : '';
+};
+
+// "December 31, 2024" - for labels and read-only display
+export const formatLongDate = (iso, locale = DEFAULT_LOCALE) => {
+  const date = fromISODate(iso);
+  return date ? date.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+};
+
+// "December 2024"
+export const formatMonthTitle = (iso, locale = DEFAULT_LOCALE) =>
+  fromISODate(iso).toLocaleDateString(locale, { year: 'numeric', month: 'long' });
+
+/**
+ * A typed date, in the locale's order, to ISO - or null when it isn't one.
+ * Any non-digits separate the parts ("12/31/2024", "12-31-24", "31 12 2024"),
+ * two-digit years are taken as 20xx, and ISO "2024-12-31" is always accepted.
+ */
+export const parseDate = (text, locale = DEFAULT_LOCALE) => {
+  const trimmed = String(text ?? '').trim();
+  if (ISO_DATE_PATTERN.test(trimmed)) return isValidISODate(trimmed) ? trimmed : null;
+
+  const numbers = trimmed.split(/\D+/).filter(Boolean);
+  if (numbers.length !== 3) return null;
+
+  const { order } = getDateFormat(locale);
+  const parts = Object.fromEntries(order.map((part, index) => [part, numbers[index]]));
+  if (parts.year.length !== 2 && parts.year.length !== 4) return null;
+
+  const year = parts.year.length === 2 ? 2000 + Number(parts.year) : Number(parts.year);
+  const iso = `${pad(year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+  return isValidISODate(iso) ? iso : null;
+};
+
+/**
+ * First day of the week for the locale: 0 = Sunday, 1 = Monday...
+ * Intl.Locale week info isn't available everywhere (Firefox, older Hermes),
+ * so fall back to Sunday.
+ */
+export const getFirstDayOfWeek = (locale = DEFAULT_LOCALE) => {
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    const weekInfo = intlLocale.getWeekInfo?.() ?? intlLocale.weekInfo;
+    // weekInfo counts Monday as 1 and Sunday as 7
+    if (weekInfo) return weekInfo.firstDay % 7;
+  } catch {
+    // Unknown locale or no Intl.Locale
+  }
+  return 0;
+};
+
+// Short weekday names, starting at firstDayOfWeek: ['Su', 'Mo', ...]
+export const getWeekdayNames = (locale = DEFAULT_LOCALE, firstDayOfWeek = 0) =>
+  Array.from({ length: 7 }, (_, index) => {
+    // 2001-01-07 was a Sunday
+    const date = new Date(2001, 0, 7 + ((firstDayOfWeek + index) % 7));
+    return {
+      short: date.toLocaleDateString(locale, { weekday: 'short' }),
+      long: date.toLocaleDateString(locale, { weekday: 'long' }),
+    };
+  });
+
+/**
+ * The calendar page for a month: 6 weeks of 7 ISO dates, starting on
+ * firstDayOfWeek and padded with days from the months around it. Always 6
+ * rows so the grid doesn't change height from month to month.
+ */
+export const getCalendarWeeks = (monthIso, firstDayOfWeek = 0) => {
+  const first = startOfMonth(monthIso);
+  const start = addDays(first, -((dayOfWeek(first) - firstDayOfWeek + 7) % 7));
+  return Array.from({ length: 6 }, (_, week) =>
+    Array.from({ length: 7 }, (__, day) => addDays(start, week * 7 + day)));
+};
@@ -0,0 +1,38 @@
+import { Platform, Alert } from 'react-native';
+
+/**
+ * CHALLENGE #12: Confirmation Dialogs
+ * Alert.alert with buttons works on mobile but not web
+ * Need different approach for each platform
+ */
+export const confirmAction = (title, message, confirmText, onConfirm) => {
+  if (Platform.OS === 'web') {
+    if (window.confirm(message)) {
+      onConfirm();
+    }
+  } else {
+    Alert.alert(
+      title,
+      message,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: confirmText,
+          style: 'destructive',
+          onPress: onConfirm
+        }
+      ]
+    );
+  }
+};
+
+// Failures are reported the way successes are (see CHALLENGE #11 in App.js)
+export const showError = (title, error) => {
+  // A rejected submission (422) also lists what the server didn't accept
+  const message = [error.message, ...(error.issues ?? []).map(issue => `• ${issue.message}`)].join('\n');
+  if (Platform.OS === 'web') {
+    alert(`${title}\n\n${message}`);
+  } else {
+    Alert.alert(title, message);
+  }
+};
@@ -0,0 +1,28 @@
+import * as DocumentPicker from 'expo-document-picker';
+
+/**
+ * Picking files on native: the system document picker (filePicker.web.js
+ * has the browser version).
+ *
+ * pickFiles({ types, multiple }) resolves to [{ name, type, size, uri }],
+ * or [] when the user cancels.
+ */
+export const pickFiles = async ({ types = [], multiple = false } = {}) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: types.length > 0 ? types : '*/*',
+    multiple,
+    // So the file can still be read when the upload starts
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return [];
+
+  return result.assets.map(asset => ({
+    name: asset.name,
+    type: asset.mimeType || '',
+    size: asset.size ?? 0,
+    uri: asset.uri,
+  }));
+};
+
+// No drag and drop on native
+export const useFileDrop = () => false;
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Picking files on web (see filePicker.js for native).
+ *
+ * CHALLENGE: React Native Web has no <input type="file"> and no drop
+ * events on View, so both are wired to the DOM by hand.
+ */
+
+const toPickedFile = (file) => ({
+  name: file.name,
+  type: file.type,
+  size: file.size,
+  uri: URL.createObjectURL(file),
+  file,
+});
+
+// Opens the browser's file dialog through a throwaway hidden input
+export const pickFiles = ({ types = [], multiple = false } = {}) => new Promise((resolve) => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = types.join(',');
+  input.multiple = multiple;
+  input.style.display = 'none';
+
+  const finish = (files) => {
+    input.remove();
+    resolve(files);
+  };
+  input.addEventListener('change', () => finish(Array.from(input.files).map(toPickedFile)));
+  input.addEventListener('cancel', () => finish([]));
+
+  document.body.appendChild(input);
+  input.click();
+});
+
+/**
+ * Lets files be dropped onto the element behind `ref` (react-native-web
+ * Views are DOM nodes). Calls onDrop with the picked-file objects and
+ * returns whether files are being dragged over it right now.
+ */
+export const useFileDrop = (ref, onDrop, { enabled = true } = {}) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Callers often pass an inline function; don't re-attach listeners because of that
+  const onDropRef = useRef(onDrop);
+  onDropRef.current = onDrop;
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || !enabled) return;
+
+    const handleDragOver = (event) => {
+      if (!event.dataTransfer?.types?.includes('Files')) return;
+      // Without preventDefault the browser opens the file instead of dropping it
+      event.preventDefault();
+      setIsDragging(true);
+    };
+    const handleDragLeave = (event) => {
+      if (!node.contains(event.relatedTarget)) setIsDragging(false);
+    };
+    const handleDrop = (event) => {
+      event.preventDefault();
+      setIsDragging(false);
+      const files = Array.from(event.dataTransfer?.files || []);
+      if (files.length > 0) onDropRef.current(files.map(toPickedFile));
+    };
+
+    node.addEventListener('dragover', handleDragOver);
+    node.addEventListener('dragleave', handleDragLeave);
+    node.addEventListener('drop', handleDrop);
+    return () => {
+      node.removeEventListener('dragover', handleDragOver);
+      node.removeEventListener('dragleave', handleDragLeave);
+      node.removeEventListener('drop', handleDrop);
+    };
+  }, [ref, enabled]);
+
+  return isDragging;
+};
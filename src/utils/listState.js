@@ -0,0 +1,123 @@
+import { EMPTY_FILTERS, LIST_FILTERS } from './applicationFilters';
+import { isValidISODate } from './dates';
+
+/**
+ * Everything the applications list is showing - status, search, filters,
+ * sort and page - as one object, and as a query string for the URL and
+ * saved views: "status=draft&industry=1,3&sort=-salary,name&page=2" (sort
+ * keys in order, "-" for descending). Only what differs from
+ * DEFAULT_LIST_STATE is written.
+ *
+ * Reading is forgiving: anything unknown or malformed (a hand-edited or an
+ * old link) falls back to the default instead of failing.
+ *
+ * The query string is built by hand: URLSearchParams is only partly
+ * implemented on some React Native versions. Kept free of react-native
+ * imports.
+ */
+
+export const DEFAULT_LIST_STATE = {
+  status: 'all',
+  query: '',
+  filters: EMPTY_FILTERS,
+  sort: [{ field: 'createdAt', direction: 'desc' }],
+  page: 1,
+};
+
+const STATUSES = ['all', 'submitted', 'draft'];
+
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (e) {
+    // A broken escape ("%E0%A4%A") - drop it rather than the whole link
+    return '';
+  }
+};
+
+const parseQuery = (search) => Object.fromEntries(
+  String(search ?? '')
+    .replace(/^\?/, '')
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const [key, value = ''] = pair.split('=');
+      return [decode(key), decode(value)];
+    })
+);
+
+const serializeSort = (sort) =>
+  sort.map(({ field, direction }) => `${direction === 'desc' ? '-' : ''}${field}`).join(',');
+
+/**
+ * Any field name will do: one that isn't a column just leaves the order
+ * alone. Links from before multi-column sorting have one field and a
+ * separate "dir".
+ */
+const parseSort = (value, dir) => {
+  const keys = (value ?? '')
+    .split(',')
+    .map(key => /^(-?)(\w+)$/.exec(key))
+    .filter(Boolean)
+    .map(([, minus, field]) => ({ field, direction: minus ? 'desc' : 'asc' }))
+    // A field twice ("sort=salary,-salary") counts once
+    .filter((key, index, all) => all.findIndex(other => other.field === key.field) === index);
+
+  if (keys.length === 0) return DEFAULT_LIST_STATE.sort;
+  if (dir && keys.length === 1) return [{ ...keys[0], direction: dir === 'asc' ? 'asc' : 'desc' }];
+  return keys;
+};
+
+const toNumber = (value) => (/^\d+$/.test(value ?? '') ? Number(value) : 0);
+
+// Known ids only, so a link from before an option was removed still works
+const toIds = (value, options) => (value ?? '')
+  .split(',')
+  .map(Number)
+  .filter(id => options.some(option => option.id === id));
+
+export const serializeListState = (state) => {
+  const { status, query, filters, sort, page } = state;
+  const params = [];
+  const add = (key, value) => params.push(`${key}=${encodeURIComponent(value)}`);
+
+  if (status !== DEFAULT_LIST_STATE.status) add('status', status);
+  if (query.trim()) add('q', query.trim());
+  if (filters.salaryMin) add('salaryMin', filters.salaryMin);
+  if (filters.salaryMax) add('salaryMax', filters.salaryMax);
+  if (filters.created.start) add('from', filters.created.start);
+  if (filters.created.end) add('to', filters.created.end);
+  LIST_FILTERS.forEach(({ key, param }) => {
+    // Commas are left as they are; ids never contain one
+    if (filters[key].length > 0) params.push(`${param}=${filters[key].join(',')}`);
+  });
+  if (serializeSort(sort) !== serializeSort(DEFAULT_LIST_STATE.sort)) {
+    // Commas and "-" are left as they are; field names never contain them
+    params.push(`sort=${serializeSort(sort)}`);
+  }
+  if (page > 1) add('page', page);
+
+  return params.join('&');
+};
+
+export const parseListState = (search) => {
+  const params = parseQuery(search);
+  const date = (value) => (isValidISODate(value) ? value : '');
+
+  return {
+    status: STATUSES.includes(params.status) ? params.status : DEFAULT_LIST_STATE.status,
+    query: params.q ?? '',
+    filters: {
+      salaryMin: toNumber(params.salaryMin),
+      salaryMax: toNumber(params.salaryMax),
+      created: { start: date(params.from), end: date(params.to) },
+      ...Object.fromEntries(LIST_FILTERS.map(({ key, param, options }) => [key, toIds(params[param], options)])),
+    },
+    sort: parseSort(params.sort, params.dir),
+    page: Math.max(toNumber(params.page), 1),
+  };
+};
+
+// Whether two states show the same rows, whatever page they're on
+export const isSameView = (a, b) =>
+  serializeListState({ ...a, page: 1 }) === serializeListState({ ...b, page: 1 });
@@ -0,0 +1,145 @@
+import { formatPostalCode } from './addressFormats';
+
+/**
+ * Input masks: how a value is shown while it's typed ("(212) 555-0123",
+ * "$80,000") versus what the form keeps ("2125550123", 80000).
+ *
+ * A mask is:
+ *   accept      regex for a single character that's part of the value;
+ *               everything else typed (spaces, dashes...) is dropped
+ *   maxLength   most characters the value can have
+ *   format      (raw) => display text
+ *   normalize   optional (raw) => raw, e.g. upper-case or no leading zeros
+ *   fromValue   optional (form value) => raw, when the form keeps something else
+ *   toValue     optional (raw) => form value
+ *
+ * Used by components/MaskedInput.js; kept free of react-native imports.
+ */
+
+// Pattern slots: # digit, A letter, * letter or digit; anything else is shown as is
+const SLOTS = {
+  '#': /\d/,
+  A: /[A-Za-z]/,
+  '*': /[A-Za-z\d]/,
+};
+
+/**
+ * Fills a pattern like "(###) ###-####" with the raw characters. Separators
+ * only appear once something follows them, so deleting never gets stuck on
+ * one. Values longer than the pattern are shown unformatted.
+ */
+export const applyPattern = (raw, pattern) => {
+  const slots = Array.from(pattern).filter(char => SLOTS[char]).length;
+  if (raw.length > slots) return raw;
+
+  let result = '';
+  let index = 0;
+  for (const char of pattern) {
+    if (index >= raw.length) break;
+    if (!SLOTS[char]) {
+      result += char;
+    } else if (SLOTS[char].test(raw[index])) {
+      result += raw[index++];
+    } else {
+      // Doesn't fit here (a letter where a digit goes): stop formatting
+      return raw;
+    }
+  }
+  return result;
+};
+
+/**
+ * Phone numbers: digits, plus a leading "+" for international numbers, which
+ * are shown as typed. National numbers follow the country's `phonePattern`
+ * (see utils/addressFormats.js) when there is one.
+ */
+export const phoneMask = (pattern) => ({
+  accept: /[\d+]/,
+  maxLength: 16,
+  // "+" only counts at the start
+  normalize: (raw) => raw.slice(0, 1) + raw.slice(1).replace(/\+/g, ''),
+  format: (raw) => (pattern && !raw.startsWith('+') ? applyPattern(raw, pattern) : raw),
+});
+
+// Postal codes of a country from utils/addressFormats.js ("SW1A 1AA", "10001-1234")
+export const postalCodeMask = (format) => ({
+  accept: /[A-Za-z\d]/,
+  maxLength: format.postalLength,
+  normalize: (raw) => raw.toUpperCase(),
+  format: (raw) => formatPostalCode(raw, format),
+});
+
+/**
+ * Whole amounts of money: "80000" shows as "$80,000" (or "80.000 €"...).
+ * The form keeps a number, 0 when empty.
+ */
+export const currencyMask = (currency = 'USD', locale) => {
+  const formatter = new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 });
+  return {
+    accept: /\d/,
+    maxLength: 12,
+    normalize: (raw) => raw.replace(/^0+/, ''),
+    format: (raw) => (raw ? formatter.format(Number(raw)) : ''),
+    fromValue: (value) => (value ? String(value) : ''),
+    toValue: (raw) => Number(raw) || 0,
+  };
+};
+
+// The raw value in a piece of display text
+export const cleanText = (mask, text) => {
+  const raw = Array.from(text).filter(char => mask.accept.test(char)).join('');
+  const normalized = mask.normalize ? mask.normalize(raw) : raw;
+  return normalized.slice(0, mask.maxLength);
+};
+
+// Index in `display` just after the `count`-th value character
+const caretAfter = (mask, display, count) => {
+  if (count <= 0) {
+    // Before the first value character, e.g. after a "$" or "("
+    const first = Array.from(display).findIndex(char => mask.accept.test(char));
+    return first < 0 ? display.length : first;
+  }
+  let seen = 0;
+  for (let index = 0; index < display.length; index++) {
+    if (mask.accept.test(display[index]) && ++seen === count) return index + 1;
+  }
+  return display.length;
+};
+
+/**
+ * What an edit does to a masked value. `previous` is the display text before
+ * the edit and `text` what the input holds after it (typed, pasted or
+ * deleted). Returns the new raw value, its display text and where the caret
+ * goes - after the same value character it followed in `text`, so it
+ * doesn't jump to the end when separators are added or removed.
+ *
+ * The edit is found by comparing the texts: it ends where the unchanged
+ * tail starts. (Typing "1" inside "111" can't be told from typing it at the
+ * end of the run; either way the caret lands after the run.)
+ */
+export const applyEdit = (mask, previous, text) => {
+  let prefix = 0;
+  while (prefix < previous.length && prefix < text.length && previous[prefix] === text[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < Math.min(previous.length, text.length) - prefix
+    && previous[previous.length - 1 - suffix] === text[text.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const caret = text.length - suffix;
+
+  let raw = cleanText(mask, text);
+  let before = cleanText(mask, text.slice(0, caret)).length;
+
+  // Backspace over a separator only removed formatting: delete the character before it
+  if (raw === cleanText(mask, previous) && text.length < previous.length && before > 0) {
+    raw = cleanText(mask, raw.slice(0, before - 1) + raw.slice(before));
+    before -= 1;
+  }
+
+  const display = mask.format(raw);
+  return { raw, display, caret: caretAfter(mask, display, Math.min(before, raw.length)) };
+};
@@ -0,0 +1,46 @@
+/**
+ * Month-precision date ranges ("YYYY-MM"), as used by work history and
+ * education entries. Months are compared as plain numbers
+ * (year * 12 + month), so ranges are just [start, end], both inclusive.
+ *
+ * Kept free of react-native imports: validation.js uses it on the server too.
+ */
+
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// "2021-03" -> month number, or null when it isn't a valid YYYY-MM
+export const parseMonth = (value) => {
+  if (!MONTH_PATTERN.test(value || '')) return null;
+  return Number(value.slice(0, 4)) * 12 + Number(value.slice(5, 7)) - 1;
+};
+
+export const currentMonth = (now = new Date()) => now.getFullYear() * 12 + now.getMonth();
+
+// [start, end] of an entry; ongoing (`current`) entries run to this month. Null if incomplete.
+export const getMonthRange = ({ startDate, endDate, current }, now) => {
+  const start = parseMonth(startDate);
+  const end = current ? currentMonth(now) : parseMonth(endDate);
+  if (start === null || end === null || end < start) return null;
+  return [start, end];
+};
+
+// Whether two ranges share more than a month. Sharing just one is a job
+// change ("until March", "from March"), which months can't say more precisely.
+export const rangesOverlap = (a, b) => Math.min(a[1], b[1]) - Math.max(a[0], b[0]) >= 1;
+
+// Years covered by the entries, counting months shared by several entries once
+export const getTotalYears = (entries = [], now) => {
+  const months = new Set();
+  entries.forEach(entry => {
+    const range = getMonthRange(entry, now);
+    if (!range) return;
+    for (let month = range[0]; month <= range[1]; month++) months.add(month);
+  });
+  return months.size / 12;
+};
+
+// 1 -> "1 year", 4.5 -> "4.5 years"
+export const formatYears = (years) => {
+  const rounded = Math.round(years * 10) / 10;
+  return `${rounded} ${rounded === 1 ? 'year' : 'years'}`;
+};
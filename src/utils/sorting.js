@@ -0,0 +1,79 @@
+/**
+ * Sorting rows by several keys, each compared by what its values are.
+ *
+ * A sort is a list of { field, direction }, the first one deciding and the
+ * next ones breaking ties. How a key's values compare (`type`):
+ *   'number'  numerically
+ *   'date'    as points in time - ISO strings with different offsets, or
+ *             a date next to a date-time, don't compare right as text
+ *   'string'  by the reader's locale: "é" next to "e", "item 2" before
+ *             "item 10", case ignored
+ *   or a (a, b) => number function
+ * Without one it's guessed from the values (numbers, ISO dates, else text).
+ *
+ * Empty values (null, undefined, '', an unparsable date) always come last,
+ * whichever the direction, and rows that tie on every key keep their order.
+ *
+ * Kept free of react-native imports.
+ */
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T|$)/;
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : Date.parse(value));
+
+const COMPARATORS = {
+  number: (a, b) => a - b,
+  date: (a, b) => toTime(a) - toTime(b),
+  string: (a, b) => collator.compare(String(a), String(b)),
+};
+
+const isEmpty = (value, type) =>
+  value == null
+  || value === ''
+  || (typeof value === 'number' && Number.isNaN(value))
+  || (type === 'date' && Number.isNaN(toTime(value)));
+
+// What a key's values look like, from the first one that isn't empty
+export const guessSortType = (values) => {
+  const sample = values.find(value => !isEmpty(value));
+  if (typeof sample === 'number') return 'number';
+  if (sample instanceof Date || (typeof sample === 'string' && ISO_DATE.test(sample))) return 'date';
+  return 'string';
+};
+
+/**
+ * `rows` ordered by `sort`. `getValue(field, row)` reads a key's value and
+ * `getType(field)` says how it compares (undefined to guess).
+ */
+export const sortRows = (rows, sort, { getValue, getType = () => undefined }) => {
+  const keys = sort.map(({ field, direction }) => {
+    const values = rows.map(row => getValue(field, row));
+    const type = getType(field) ?? guessSortType(values);
+    return {
+      values,
+      type,
+      compare: typeof type === 'function' ? type : COMPARATORS[type] ?? COMPARATORS.string,
+      sign: direction === 'desc' ? -1 : 1,
+    };
+  });
+
+  return rows
+    .map((row, index) => index)
+    .sort((a, b) => {
+      for (const { values, type, compare, sign } of keys) {
+        const emptyA = isEmpty(values[a], type);
+        const emptyB = isEmpty(values[b], type);
+        if (emptyA || emptyB) {
+          if (emptyA !== emptyB) return emptyA ? 1 : -1;
+          continue;
+        }
+        const result = compare(values[a], values[b]);
+        if (result !== 0) return Math.sign(result) * sign;
+      }
+      // Ties keep their order, so the sort is stable on every engine
+      return a - b;
+    })
+    .map(index => rows[index]);
+};
@@ -0,0 +1,48 @@
+/**
+ * Accent- and case-insensitive text matching.
+ *
+ * "Montreal" matches "montréal", "MONT" matches "Montréal", etc.
+ */
+
+// Strip diacritics from a single character ("é" -> "e") and lower-case it
+const normalizeChar = (char) =>
+  char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const normalizeText = (text) =>
+  Array.from(String(text ?? ''), normalizeChar).join('');
+
+/**
+ * Where `query` occurs in `text`, as { start, end } indexes into the
+ * ORIGINAL text (so it can be highlighted), or null when it doesn't match.
+ */
+export const findMatchRange = (text, query) => {
+  const normalizedQuery = normalizeText(query).trim();
+  if (!normalizedQuery) return null;
+
+  const original = String(text ?? '');
+
+  // Map every normalized character back to its position in the original text
+  let normalized = '';
+  const positions = [];
+  let offset = 0;
+  for (const char of original) {
+    const mapped = normalizeChar(char);
+    for (let i = 0; i < mapped.length; i++) {
+      positions.push(offset);
+    }
+    normalized += mapped;
+    offset += char.length;
+  }
+  positions.push(offset);
+
+  const index = normalized.indexOf(normalizedQuery);
+  if (index < 0) return null;
+
+  const start = positions[index];
+  const lastCharStart = positions[index + normalizedQuery.length - 1];
+  const lastChar = Array.from(original.slice(lastCharStart))[0] || '';
+  return { start, end: lastCharStart + lastChar.length };
+};
+
+export const matchesText = (text, query) =>
+  !normalizeText(query).trim() || findMatchRange(text, query) !== null;
@@ -0,0 +1,9 @@
+/**
+ * The page's query string (see urlQuery.web.js). Native apps have no URL:
+ * there's nothing to read, and state that has to survive switching screens
+ * is kept by App.js instead, like navigation params.
+ */
+
+export const getUrlQuery = () => '';
+
+export const replaceUrlQuery = () => {};
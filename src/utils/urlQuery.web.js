@@ -0,0 +1,18 @@
+/**
+ * The page's query string on web (see urlQuery.js for native), without the
+ * leading "?".
+ *
+ * CHALLENGE #13: No router (see App.js) to keep state in the URL, so it's
+ * read from window.location and written with the History API by hand.
+ */
+
+export const getUrlQuery = () => window.location.search.replace(/^\?/, '');
+
+// replaceState, not pushState: every keystroke would be a step back otherwise
+export const replaceUrlQuery = (query) => {
+  const { pathname, search, hash } = window.location;
+  const next = query ? `?${query}` : '';
+  if (next !== search) {
+    window.history.replaceState(window.history.state, '', `${pathname}${next}${hash}`);
+  }
+};
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Platform } from 'react-native';
+import { useResponsive } from './useResponsive';
+
+const GAP = 4;
+const EDGE_MARGIN = 8;
+
+/**
+ * Where to put a popover so it lines up with its anchor. Opens below the
+ * anchor, or above it when there isn't room below and there is more above.
+ * Kept inside the window horizontally; maxHeight is the room left on the
+ * chosen side.
+ *
+ * `anchor` is { x, y, width, height } in window coordinates (measureInWindow).
+ */
+export const computeAnchorPosition = (anchor, windowSize, { preferredHeight = 300 } = {}) => {
+  const spaceBelow = windowSize.height - (anchor.y + anchor.height) - GAP - EDGE_MARGIN;
+  const spaceAbove = anchor.y - GAP - EDGE_MARGIN;
+  const placement = spaceBelow < preferredHeight && spaceAbove > spaceBelow ? 'above' : 'below';
+
+  const width = Math.min(anchor.width, windowSize.width - EDGE_MARGIN * 2);
+  const left = Math.min(Math.max(anchor.x, EDGE_MARGIN), windowSize.width - width - EDGE_MARGIN);
+
+  return {
+    placement,
+    style: {
+      left,
+      width,
+      maxHeight: Math.max(0, Math.min(preferredHeight, placement === 'below' ? spaceBelow : spaceAbove)),
+      // Anchoring the bottom edge when opening upwards means we never need
+      // to know the popover's own height
+      ...(placement === 'below'
+        ? { top: anchor.y + anchor.height + GAP }
+        : { bottom: windowSize.height - anchor.y + GAP }),
+    },
+  };
+};
+
+/**
+ * CHALLENGE: No CSS anchor positioning - the anchor has to be measured in
+ * JavaScript, and measured again whenever the window resizes or (on web)
+ * anything scrolls underneath the open popover.
+ *
+ * Changing `updateKey` measures again, for anchors that change size while
+ * open. Returns null until the anchor has been measured.
+ */
+export const useAnchorPosition = (anchorRef, { active, preferredHeight, updateKey }) => {
+  const { width, height } = useResponsive();
+  const [anchor, setAnchor] = useState(null);
+
+  const measure = useCallback(() => {
+    anchorRef.current?.measureInWindow?.((x, y, anchorWidth, anchorHeight) => {
+      setAnchor({ x, y, width: anchorWidth, height: anchorHeight });
+    });
+  }, [anchorRef]);
+
+  useEffect(() => {
+    if (!active) {
+      setAnchor(null);
+      return;
+    }
+    measure();
+  }, [active, width, height, updateKey, measure]);
+
+  useEffect(() => {
+    if (!active || Platform.OS !== 'web') return;
+
+    // Capture phase so scrolling inside any ScrollView is seen, not just the page
+    window.addEventListener('scroll', measure, true);
+    return () => window.removeEventListener('scroll', measure, true);
+  }, [active, measure]);
+
+  return anchor && computeAnchorPosition(anchor, { width, height }, { preferredHeight });
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Runs an async loader and tracks its loading/error state.
+ * Re-runs whenever `deps` change; responses from outdated runs are ignored
+ * so a slow request can't overwrite a newer one.
+ *
+ * const { data, loading, error, reload } = useApiResource(() => api.getCountries(), []);
+ */
+export const useApiResource = (loader, deps = []) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const requestId = useRef(0);
+
+  const load = useCallback(() => {
+    const id = ++requestId.current;
+    setLoading(true);
+    setError(null);
+
+    Promise.resolve()
+      .then(loader)
+      .then((result) => {
+        if (id === requestId.current) setData(result);
+      })
+      .catch((e) => {
+        if (id === requestId.current) setError(e);
+      })
+      .finally(() => {
+        if (id === requestId.current) setLoading(false);
+      });
+  }, deps);
+
+  useEffect(() => {
+    load();
+    // Invalidate in-flight requests on unmount
+    return () => {
+      requestId.current++;
+    };
+  }, [load]);
+
+  return { data, loading, error, reload: load };
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { applicationRepository } from '../data/applicationRepository';
+
+/**
+ * Loads applications from the repository and re-renders whenever
+ * anything is saved or deleted through it.
+ *
+ * Pass `{ trash: true }` to get the soft-deleted records instead.
+ */
+export const useApplications = (repository = applicationRepository, { trash = false } = {}) => {
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    const refresh = () => (trash ? repository.listTrash() : repository.list())
+      .then((items) => {
+        if (active) setApplications(items);
+      })
+      .catch((e) => {
+        if (active) setError(e);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    refresh();
+    const unsubscribe = repository.subscribe(refresh);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [repository, trash]);
+
+  return { applications, loading, error };
+};
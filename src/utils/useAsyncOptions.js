@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useDebouncedValue } from './useDebouncedValue';
+
+/**
+ * Options fetched page by page from `loadOptions`, for dropdowns over lists
+ * too big to load upfront.
+ *
+ * loadOptions({ query, page, pageSize }) must resolve to the same shape the
+ * API's list endpoints return: { data, page, totalPages }.
+ *
+ * Searching is debounced, and, as in useApiResource, responses from
+ * outdated requests are ignored so a slow search can't overwrite a newer one.
+ * Nothing is fetched while `enabled` is false (e.g. the menu is closed).
+ *
+ * const cities = useAsyncOptions(api.searchCities, { query, enabled: isOpen });
+ * cities.options, cities.loading, cities.error, cities.loadMore(), cities.reload()
+ */
+export const useAsyncOptions = (loadOptions, {
+  query = '',
+  enabled = true,
+  pageSize = 50,
+  debounceMs = 300,
+} = {}) => {
+  const debouncedQuery = useDebouncedValue(query, debounceMs);
+  const [state, setState] = useState({
+    options: [],
+    page: 0,
+    hasMore: false,
+    loading: false,
+    error: null,
+  });
+  const requestId = useRef(0);
+
+  // Callers often pass an inline function; don't refetch just because of that
+  const loadOptionsRef = useRef(loadOptions);
+  loadOptionsRef.current = loadOptions;
+
+  const load = useCallback((page) => {
+    const id = ++requestId.current;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    Promise.resolve()
+      .then(() => loadOptionsRef.current({ query: debouncedQuery, page, pageSize }))
+      .then((result) => {
+        if (id !== requestId.current) return;
+        setState(prev => ({
+          // Page 1 replaces the list, so the old results stay up while searching
+          options: page === 1 ? result.data : [...prev.options, ...result.data],
+          page: result.page,
+          hasMore: result.page < result.totalPages,
+          loading: false,
+          error: null,
+        }));
+      })
+      .catch((error) => {
+        if (id !== requestId.current) return;
+        setState(prev => ({
+          ...prev,
+          // A failed new search mustn't leave the previous search's results up
+          ...(page === 1 && { options: [], page: 0, hasMore: false }),
+          loading: false,
+          error,
+        }));
+      });
+  }, [debouncedQuery, pageSize]);
+
+  useEffect(() => {
+    if (enabled) {
+      load(1);
+    } else {
+      // Forget in-flight requests; they'd land after the menu closed
+      requestId.current++;
+    }
+  }, [enabled, load]);
+
+  const loadMore = () => {
+    if (state.hasMore && !state.loading && !state.error) {
+      load(state.page + 1);
+    }
+  };
+
+  // Retries whatever failed: the first page, or the next one
+  const reload = () => load(state.page + 1);
+
+  return {
+    options: state.options,
+    loading: state.loading,
+    error: state.error,
+    hasMore: state.hasMore,
+    loadMore,
+    reload,
+  };
+};
@@ -0,0 +1,121 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { matchesText } from './textSearch';
+import { sortRows } from './sorting';
+
+/**
+ * CHALLENGE #6 & #7: Manual Sorting and Pagination
+ *
+ * What TanStack Table's getSortedRowModel/getPaginationRowModel do for free,
+ * once for every table (see components/DataTable.js).
+ *
+ * `sort` is a list of { field, direction }: the first key decides and the
+ * others break ties (see utils/sorting.js for how values compare). Sorting
+ * uses the column's `accessor` (see getCellValue) and `sortType`; a field
+ * that isn't a column, like the default "createdAt", is read straight off
+ * the row. `onSort(field)` sorts by that column alone, `onSort(field, { add:
+ * true })` adds it as the next key (or flips or drops it if it's one already).
+ *
+ * `query` keeps the rows where any `searchable` column's text contains it,
+ * ignoring accents and case (utils/textSearch.js). Debounce it first: it
+ * refilters every row.
+ *
+ * Sort and page are kept here unless the caller passes `sort` and
+ * `onSortChange`, `page` and `onPageChange` to keep them itself (e.g. in
+ * the URL, see utils/listState.js).
+ *
+ * Returns props for DataTable: the current page of `rows`, `sort` and
+ * `onSort`, `page`, `totalPages`, `onPageChange`, `pageSize`, `total` (rows
+ * left after the search) and `query` (to highlight).
+ */
+
+// A column's raw value for a row: `accessor` is a property name or (row) => value
+export const getCellValue = (column, row) =>
+  (typeof column.accessor === 'function' ? column.accessor(row) : row[column.accessor ?? column.id]);
+
+// What a cell shows: the column's `format`ted value
+export const getCellText = (column, row) => {
+  const value = getCellValue(column, row);
+  return column.format ? column.format(value, row) : value;
+};
+
+export const useDataTable = (data, {
+  columns,
+  initialSort = [{ field: 'createdAt', direction: 'desc' }],
+  pageSize = 5,
+  query = '',
+  sort: sortProp,
+  onSortChange,
+  page: pageProp,
+  onPageChange,
+} = {}) => {
+  const [ownSort, setOwnSort] = useState(initialSort);
+  const [ownPage, setOwnPage] = useState(1);
+  const sort = sortProp ?? ownSort;
+  const setSort = sortProp ? onSortChange : setOwnSort;
+  const page = pageProp ?? ownPage;
+  const setPage = pageProp ? onPageChange : setOwnPage;
+
+  const matching = useMemo(() => {
+    if (!query.trim()) return data;
+    const searchable = columns.filter(column => column.searchable);
+    return data.filter(row => searchable.some(column => matchesText(getCellText(column, row), query)));
+  }, [data, columns, query]);
+
+  // A new search starts from the first page (a page the list opened on stays)
+  const searchedQuery = useRef(query);
+  useEffect(() => {
+    if (searchedQuery.current === query) return;
+    searchedQuery.current = query;
+    setPage(1);
+  }, [query]);
+
+  const sorted = useMemo(() => {
+    const findColumn = (field) => columns.find(column => column.id === field);
+    return sortRows(matching, sort, {
+      getValue: (field, row) => (findColumn(field) ? getCellValue(findColumn(field), row) : row[field]),
+      getType: (field) => findColumn(field)?.sortType,
+    });
+  }, [matching, columns, sort]);
+
+  const totalPages = Math.ceil(sorted.length / pageSize);
+
+  // Back to the last page when rows go away (e.g. a delete). Not while there
+  // are none: they may still be loading, and the page came from a link.
+  useEffect(() => {
+    if (totalPages > 0 && page > totalPages) setPage(totalPages);
+  }, [page, totalPages]);
+
+  const rows = useMemo(
+    () => sorted.slice((page - 1) * pageSize, page * pageSize),
+    [sorted, page, pageSize]
+  );
+
+  // A column already sorted on flips its direction; a new one starts ascending
+  const onSort = (field, { add = false } = {}) => {
+    const current = sort.find(key => key.field === field);
+    const flipped = { field, direction: current?.direction === 'asc' ? 'desc' : 'asc' };
+
+    if (!add) {
+      setSort([flipped]);
+    } else if (!current) {
+      setSort([...sort, flipped]);
+    } else if (current.direction === 'desc' && sort.length > 1) {
+      // Added keys go ascending, descending, then away again
+      setSort(sort.filter(key => key !== current));
+    } else {
+      setSort(sort.map(key => (key === current ? flipped : key)));
+    }
+  };
+
+  return {
+    rows,
+    sort,
+    onSort,
+    page,
+    totalPages,
+    onPageChange: setPage,
+    pageSize,
+    total: sorted.length,
+    query,
+  };
+};
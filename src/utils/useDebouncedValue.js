@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * `value` once it has stopped changing for `delayMs`, e.g. a search query
+ * that shouldn't refilter or refetch on every keystroke. Emptying it (like
+ * clearing a search) doesn't wait.
+ */
+export const useDebouncedValue = (value, delayMs = 300) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), value ? delayMs : 0);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+};
@@ -0,0 +1,64 @@
+import { useEffect, useMemo } from 'react';
+import {
+  getFields,
+  getDependentFields,
+  getEmptyValue,
+  isEmptyValue,
+} from '../forms/formEngine';
+
+const sameValue = (a, b) =>
+  (Array.isArray(a) || Array.isArray(b) ? JSON.stringify(a) === JSON.stringify(b) : a === b);
+
+/**
+ * Dependent fields (CHALLENGE #3, together with SelectField in FormField.js)
+ *
+ * Keeps `dependsOn` chains consistent for a whole form definition:
+ * - when a field's value changes, its dependents are cleared (and their
+ *   errors with them). Clearing is a change too, so it cascades down chains
+ *   of any depth: country -> city -> district.
+ * - fields listed in `revalidate` are re-checked when the field changes,
+ *   e.g. salary when the role changes or is cleared.
+ *
+ * Only changes are acted on, so initialData that fills every level at once
+ * is left alone. Whether a value is still one of the loaded options is
+ * checked by each select (see FormField).
+ */
+export const useDependentFields = (definition, { watch, getValues, setValue, clearErrors, trigger }) => {
+  const dependents = useMemo(() => getDependentFields(definition), [definition]);
+  const fieldsByName = useMemo(
+    () => Object.fromEntries(getFields(definition).map(field => [field.name, field])),
+    [definition]
+  );
+
+  useEffect(() => {
+    let previous = { ...getValues() };
+
+    const subscription = watch((values, { name }) => {
+      // No name means reset() - a whole new set of values, not an edit, but
+      // the next edit is compared with them
+      if (!fieldsByName[name]) {
+        previous = { ...values };
+        return;
+      }
+
+      const changed = !sameValue(values[name], previous[name]);
+      previous = { ...values };
+      if (!changed) return;
+
+      const stale = dependents[name].filter(child => !isEmptyValue(values[child]));
+      if (stale.length > 0) {
+        clearErrors(stale);
+        // Each setValue comes back through this callback, clearing the next level
+        stale.forEach(child => setValue(child, getEmptyValue(fieldsByName[child])));
+      }
+
+      const revalidate = (fieldsByName[name].revalidate || [])
+        .filter(other => !isEmptyValue(getValues(other)));
+      if (revalidate.length > 0) {
+        trigger(revalidate);
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, [watch, getValues, setValue, clearErrors, trigger, dependents, fieldsByName]);
+};
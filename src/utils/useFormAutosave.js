@@ -0,0 +1,128 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { AppState } from 'react-native';
+import { autosaveStore } from '../data/formAutosave';
+
+export const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * CHALLENGE #23: Autosave & Crash Recovery
+ *
+ * There's no browser form restoration on native, and on web it doesn't know
+ * about our steps. So react-hook-form values + the current step are saved
+ * to storage (debounced) after every edit, and flushed right away when the
+ * app goes to the background / the tab is hidden, or the form closes.
+ *
+ * When the form opens with a saved slot, nothing is autosaved until the user
+ * picks resume() or discard(), so the old session isn't overwritten by an
+ * empty form.
+ *
+ * const autosave = useFormAutosave('job:new', { watch, getValues, step });
+ * autosave.pending     snapshot from last time, waiting for resume/discard
+ * autosave.lastSavedAt
+ * autosave.clear()     call once the data is safely saved elsewhere
+ */
+export const useFormAutosave = (slot, {
+  watch,
+  getValues,
+  step,
+  store = autosaveStore,
+  delayMs = AUTOSAVE_DELAY_MS,
+}) => {
+  const [pending, setPending] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  const slotRef = useRef(slot);
+  slotRef.current = slot;
+  const stepRef = useRef(step);
+  stepRef.current = step;
+  const timer = useRef(null);
+  const dirty = useRef(false);
+
+  // Look for a previous session once, when the form opens
+  useEffect(() => {
+    let cancelled = false;
+
+    store.load(slot)
+      .catch(() => null)
+      .then((snapshot) => {
+        if (cancelled) return;
+        if (snapshot) {
+          setPending(snapshot);
+        } else {
+          setReady(true);
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const flush = useCallback(() => {
+    clearTimeout(timer.current);
+    if (!dirty.current) return;
+    dirty.current = false;
+
+    store.save(slotRef.current, { values: getValues(), step: stepRef.current })
+      .then(saved => setLastSavedAt(saved.savedAt))
+      // Best effort: a failed autosave must never get in the way of typing
+      .catch(() => {});
+  }, [store, getValues]);
+
+  const schedule = useCallback(() => {
+    dirty.current = true;
+    clearTimeout(timer.current);
+    timer.current = setTimeout(flush, delayMs);
+  }, [flush, delayMs]);
+
+  useEffect(() => {
+    if (!ready) return;
+
+    const subscription = watch((values, { name }) => {
+      // No name means reset(), which isn't an edit
+      if (name) schedule();
+    });
+    return () => subscription.unsubscribe();
+  }, [ready, watch, schedule]);
+
+  // Moving between steps is progress too
+  const previousStep = useRef(step);
+  useEffect(() => {
+    if (ready && step !== previousStep.current) schedule();
+    previousStep.current = step;
+  }, [ready, step, schedule]);
+
+  // CHALLENGE: No beforeunload on native - AppState covers both (on web
+  // react-native-web maps it to page visibility)
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') flush();
+    });
+    return () => {
+      subscription.remove();
+      flush();
+    };
+  }, [flush]);
+
+  const resume = () => {
+    const snapshot = pending;
+    setPending(null);
+    setReady(true);
+    return snapshot;
+  };
+
+  const discard = () => {
+    setPending(null);
+    setReady(true);
+    store.clear(slotRef.current).catch(() => {});
+  };
+
+  // `slot` can be passed when the slot may change meanwhile (a new draft gets an id)
+  const clear = (clearedSlot = slotRef.current) => {
+    clearTimeout(timer.current);
+    dirty.current = false;
+    setLastSavedAt(null);
+    return store.clear(clearedSlot).catch(() => {});
+  };
+
+  return { pending, lastSavedAt, resume, discard, clear };
+};
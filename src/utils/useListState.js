@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { parseListState, serializeListState } from './listState';
+import { getUrlQuery, replaceUrlQuery } from './urlQuery';
+
+/**
+ * The applications list's state (see listState.js) for App.js to keep, so
+ * it survives switching to the form and back. On web it also starts from
+ * the URL and is written back to it while the list is `active`, so a view
+ * can be bookmarked, shared or reloaded.
+ *
+ * Returns [state, setState] like useState.
+ */
+export const useListState = ({ active = true } = {}) => {
+  const [state, setState] = useState(() => parseListState(getUrlQuery()));
+
+  useEffect(() => {
+    replaceUrlQuery(active ? serializeListState(state) : '');
+  }, [state, active]);
+
+  return [state, setState];
+};
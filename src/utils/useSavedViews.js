@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { savedViewStore } from '../data/savedViews';
+
+/**
+ * The saved list views (see data/savedViews.js), re-rendering whenever one
+ * is created, renamed or deleted through the store.
+ */
+export const useSavedViews = (store = savedViewStore) => {
+  const [views, setViews] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+
+    const refresh = () => store.list()
+      .then((items) => {
+        if (active) setViews(items);
+      })
+      // Saved views are a convenience; the list works without them
+      .catch(() => {});
+
+    refresh();
+    const unsubscribe = store.subscribe(refresh);
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [store]);
+
+  return views;
+};
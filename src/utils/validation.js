@@ -1,39 +1,304 @@
 import { z } from 'zod';
+import { countries, experienceLevels } from '../data/mockData';
+import { findById, getRoles } from '../data/referenceData';
+import {
+  MONTH_PATTERN,
+  parseMonth,
+  currentMonth,
+  getMonthRange,
+  rangesOverlap,
+  getTotalYears,
+  formatYears,
+} from './monthRanges';
+import { isValidISODate, isWeekend, today, addDays } from './dates';
+import { getAddressFormat, formatPostalCode, isValidPostalCode, toE164 } from './addressFormats';
+
+/**
+ * Validation context
+ *
+ * Cross-field rules need reference data (a role's minSalary, the selected
+ * country...). Schemas that use it are built by factories taking a context,
+ * so the same rules run in the form (with options loaded from the API), in
+ * the mock backend and in tests. By default the context reads mockData.
+ */
+export const defaultValidationContext = {
+  findRole: (industryId, roleId) => findById(getRoles(industryId), roleId),
+  findCountry: (countryId) => findById(countries, countryId),
+  findExperienceLevel: (experienceId) => findById(experienceLevels, experienceId),
+};
+
+export const createValidationContext = (overrides = {}) => ({
+  ...defaultValidationContext,
+  ...overrides,
+});
 
 // Step 1 validation schema - Personal Info
 export const personalInfoSchema = z.object({
   firstName: z.string().min(2, 'First name must be at least 2 characters'),
   lastName: z.string().min(2, 'Last name must be at least 2 characters'),
   email: z.string().email('Invalid email address'),
-  phone: z.string().regex(/^\+?[\d\s-()]+$/, 'Invalid phone number'),
 });
 
 // Step 2 validation schema - Location (dependent fields)
-export const locationSchema = z.object({
+const locationFields = z.object({
   countryId: z.number().min(1, 'Country is required'),
   cityId: z.number().min(1, 'City is required'),
+  districtId: z.number().optional(),
   address: z.string().min(5, 'Address must be at least 5 characters'),
   postalCode: z.string().min(3, 'Postal code is required'),
+  phone: z.string().regex(/^\+?[\d\s-()]+$/, 'Invalid phone number'),
+  preferredCityIds: z.array(z.number()).max(3, 'Choose up to 3 preferred cities').optional(),
+  relocationCityId: z.number().optional(),
 });
 
-// Step 3 validation schema - Professional Info (dependent + conditional validation)
-export const professionalInfoSchema = z.object({
+/**
+ * Postal code and phone number must be valid for the selected country (see
+ * utils/addressFormats.js). Countries without a format only get the basic
+ * checks above.
+ */
+const matchesCountryFormats = (context) => (data, ctx) => {
+  const country = context.findCountry(data.countryId);
+  const format = getAddressFormat(country);
+  if (!format) return;
+
+  if (data.postalCode && !isValidPostalCode(data.postalCode, format)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['postalCode'],
+      message: `Enter a valid ${format.postalLabel}, e.g. ${format.postalPlaceholder}`,
+    });
+  }
+  if (data.phone && !toE164(data.phone, format)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['phone'],
+      message: `Enter a valid phone number for ${country.name}, e.g. ${format.phonePlaceholder}`,
+    });
+  }
+};
+
+// Parsed values carry the postal code as the post office writes it and the phone in E.164
+const normalizeCountryFormats = (context) => (data) => {
+  const format = getAddressFormat(context.findCountry(data.countryId));
+  if (!format) return data;
+  return {
+    ...data,
+    postalCode: formatPostalCode(data.postalCode, format),
+    phone: toE164(data.phone, format),
+  };
+};
+
+export const createLocationSchema = (context = defaultValidationContext) =>
+  locationFields
+    .superRefine(matchesCountryFormats(context))
+    .transform(normalizeCountryFormats(context));
+
+export const locationSchema = createLocationSchema();
+
+/**
+ * Attachments (resume, cover letter...). Files are checked when picked,
+ * before uploading (pickedFileSchema), and the uploaded metadata is checked
+ * again with the rest of the form (attachmentSchema).
+ */
+export const MAX_ATTACHMENTS = 3;
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+// Accepted MIME types and how to show them
+export const ATTACHMENT_TYPES = {
+  'application/pdf': 'PDF',
+  'application/msword': 'Word',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+};
+
+export const pickedFileSchema = z.object({
+  name: z.string().min(1, 'File name is missing'),
+  type: z.string().refine(type => type in ATTACHMENT_TYPES, 'Only PDF, Word, PNG or JPEG files can be attached'),
+  size: z.number().max(MAX_ATTACHMENT_SIZE, 'Files must be 5 MB or smaller'),
+});
+
+export const attachmentSchema = pickedFileSchema.extend({
+  id: z.string(),
+  url: z.string(),
+  uploadedAt: z.string(),
+});
+
+/**
+ * Dates ("YYYY-MM-DD", see utils/dates.js). Interviews are on weekdays,
+ * within the next INTERVIEW_WINDOW_DAYS days.
+ */
+export const INTERVIEW_WINDOW_DAYS = 60;
+
+const optionalDate = z.string().refine(value => !value || isValidISODate(value), 'Enter a valid date');
+
+const notInPast = (value) => !value || value >= today();
+
+export const interviewDatesSchema = z.object({
+  start: optionalDate,
+  end: optionalDate,
+}).superRefine((range, ctx) => {
+  const issue = (path, message) => ctx.addIssue({ code: z.ZodIssueCode.custom, path: [path], message });
+
+  if (range.start && !range.end) issue('end', 'Pick the last day you can interview');
+  if (!range.start && range.end) issue('start', 'Pick the first day you can interview');
+
+  ['start', 'end'].forEach(key => {
+    const value = range[key];
+    if (!value || !isValidISODate(value)) return;
+    if (!notInPast(value)) issue(key, "Interview dates can't be in the past");
+    else if (value > addDays(today(), INTERVIEW_WINDOW_DAYS)) {
+      issue(key, `Interviews are scheduled up to ${INTERVIEW_WINDOW_DAYS} days ahead`);
+    } else if (isWeekend(value)) issue(key, 'Interviews are held on weekdays');
+  });
+
+  if (range.start && range.end && range.end < range.start) {
+    issue('end', 'The last day must be on or after the first day');
+  }
+});
+
+// Step 3 fields - Professional Info (cross-field rules are added below)
+const professionalInfoFields = z.object({
   industryId: z.number().min(1, 'Industry is required'),
   roleId: z.number().min(1, 'Role is required'),
   experienceId: z.number().min(1, 'Experience level is required'),
   expectedSalary: z.number().min(1, 'Expected salary is required'),
-  resume: z.string().optional(),
-}).refine((data) => {
-  // Custom validation: salary should be reasonable based on role
-  // This will be checked with role's minSalary in the component
-  return true;
-}, {
-  message: 'Salary validation',
+  skillIds: z.array(z.number())
+    .min(1, 'Select at least one skill')
+    .max(5, 'Select up to 5 skills'),
+  languageIds: z.array(z.number()).optional(),
+  attachments: z.array(attachmentSchema)
+    .max(MAX_ATTACHMENTS, `Attach up to ${MAX_ATTACHMENTS} files`)
+    .optional(),
+  availableFrom: optionalDate.refine(notInPast, "Start date can't be in the past").optional(),
+  interviewDates: interviewDatesSchema.optional(),
 });
 
-// Complete form schema
-export const completeFormSchema = z.object({
-  ...personalInfoSchema.shape,
-  ...locationSchema.shape,
-  ...professionalInfoSchema.shape,
+/**
+ * CHALLENGE #4: Custom Salary Validation
+ * Salary must meet the selected role's minimum. Reported on expectedSalary
+ * so it shows up like any other field error.
+ */
+const salaryMeetsRoleMinimum = (context) => (data, ctx) => {
+  const role = context.findRole(data.industryId, data.roleId);
+  if (role && data.expectedSalary && data.expectedSalary < role.minSalary) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['expectedSalary'],
+      message: `Minimum salary for ${role.name} is $${role.minSalary.toLocaleString()}`,
+    });
+  }
+};
+
+export const createProfessionalInfoSchema = (context = defaultValidationContext) =>
+  professionalInfoFields.superRefine(salaryMeetsRoleMinimum(context));
+
+export const professionalInfoSchema = createProfessionalInfoSchema();
+
+/**
+ * Step 4 - Experience & Education (repeatable entries)
+ *
+ * Each entry needs a start and, unless it's ongoing (`current`), an end
+ * after it. Jobs may not overlap each other by more than a month.
+ */
+const validDateRange = (entry, ctx) => {
+  const start = parseMonth(entry.startDate);
+  if (start !== null && start > currentMonth()) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['startDate'], message: "Start date can't be in the future" });
+  }
+  if (entry.current) return;
+
+  const end = parseMonth(entry.endDate);
+  if (end === null) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['endDate'],
+      message: entry.endDate ? 'Use the format YYYY-MM' : 'End date is required',
+    });
+  } else if (start !== null && end < start) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endDate'], message: 'End date must be after the start date' });
+  }
+};
+
+const monthSchema = z.string().regex(MONTH_PATTERN, 'Use the format YYYY-MM');
+
+export const workHistoryEntrySchema = z.object({
+  company: z.string().min(2, 'Company is required'),
+  title: z.string().min(2, 'Job title is required'),
+  startDate: monthSchema,
+  current: z.boolean().optional(),
+  endDate: z.string().optional(),
+}).superRefine(validDateRange);
+
+export const educationEntrySchema = z.object({
+  institution: z.string().min(2, 'Institution is required'),
+  degree: z.string().min(2, 'Degree is required'),
+  startDate: monthSchema,
+  current: z.boolean().optional(),
+  endDate: z.string().optional(),
+}).superRefine(validDateRange);
+
+// Reported on the later entry, so the first one listed stays clean
+const jobsDontOverlap = (entries, ctx) => {
+  const ranges = entries.map(entry => getMonthRange(entry));
+  ranges.forEach((range, index) => {
+    const earlier = ranges.findIndex((other, otherIndex) =>
+      otherIndex < index && range && other && rangesOverlap(range, other));
+    if (earlier >= 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [index, 'startDate'],
+        message: `Overlaps with ${entries[earlier].company || `position ${earlier + 1}`}`,
+      });
+    }
+  });
+};
+
+const backgroundFields = z.object({
+  workHistory: z.array(workHistoryEntrySchema)
+    .max(10, 'List up to 10 positions')
+    .superRefine(jobsDontOverlap)
+    .optional(),
+  education: z.array(educationEntrySchema)
+    .max(5, 'List up to 5 degrees')
+    .optional(),
 });
+
+/**
+ * The years the employment history adds up to must fit the experience
+ * level picked in step 3. Reported on workHistory.
+ */
+const historyMatchesExperienceLevel = (context) => (data, ctx) => {
+  if (!data.workHistory?.length) return;
+
+  const level = context.findExperienceLevel(data.experienceId);
+  if (!level || level.minYears === undefined) return;
+
+  const years = getTotalYears(data.workHistory);
+  if (years < level.minYears || (level.maxYears !== undefined && years >= level.maxYears)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['workHistory'],
+      message: `Your employment history adds up to ${formatYears(years)}, which doesn't match ${level.name}`,
+    });
+  }
+};
+
+// passthrough() keeps experienceId (from step 3) around for the cross-check
+export const createBackgroundSchema = (context = defaultValidationContext) =>
+  backgroundFields.passthrough().superRefine(historyMatchesExperienceLevel(context));
+
+// Complete form schema
+export const createCompleteFormSchema = (context = defaultValidationContext) =>
+  z.object({
+    ...personalInfoSchema.shape,
+    ...locationFields.shape,
+    ...professionalInfoFields.shape,
+    ...backgroundFields.shape,
+  })
+    .superRefine(matchesCountryFormats(context))
+    .superRefine(salaryMeetsRoleMinimum(context))
+    .superRefine(historyMatchesExperienceLevel(context))
+    .transform(normalizeCountryFormats(context));
+
+export const completeFormSchema = createCompleteFormSchema();